@@ -0,0 +1,146 @@
+// Visual ERP service worker
+// Serves the app shell (index.html) and static assets from cache so the app
+// opens instantly and offline. API requests are never touched: offline data
+// is handled by the app itself (src/lib/offline-store.js).
+//
+// Caching:
+//   navigation       cached shell first, refreshed in the background; a changed
+//                    shell means a new release, which is announced to the page
+//   /assets/*        cache first (Vite fingerprints these file names)
+//   config.json      network first, cached copy when offline
+//   other files      cached copy first, refreshed in the background
+//
+// Bump CACHE_VERSION when this file's caching rules change.
+
+const CACHE_VERSION = 'v1'
+const SHELL_CACHE = `visual-erp-shell-${CACHE_VERSION}`
+const ASSET_CACHE = `visual-erp-assets-${CACHE_VERSION}`
+
+const SCOPE = new URL(self.registration.scope)
+const SHELL_URL = new URL('index.html', SCOPE).href
+const CONFIG_URL = new URL('config.json', SCOPE).href
+
+const PRECACHE_URLS = [
+  SHELL_URL,
+  CONFIG_URL,
+  new URL('manifest.webmanifest', SCOPE).href,
+  new URL('favicon.ico', SCOPE).href,
+  new URL('icons/icon-192.png', SCOPE).href
+]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE_URLS)))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('visual-erp-') && key !== SHELL_CACHE && key !== ASSET_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+// Sent by the page when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  clients.forEach((client) => client.postMessage(message))
+}
+
+async function refreshShell(cached) {
+  const response = await fetch(SHELL_URL, { cache: 'no-cache' })
+  if (!response.ok) return response
+
+  const cache = await caches.open(SHELL_CACHE)
+  if (cached) {
+    const [previous, next] = await Promise.all([cached.clone().text(), response.clone().text()])
+    if (previous !== next) {
+      await cache.put(SHELL_URL, response.clone())
+      notifyClients({ type: 'UPDATE_AVAILABLE' })
+    }
+  } else {
+    await cache.put(SHELL_URL, response.clone())
+  }
+  return response
+}
+
+async function handleNavigation(event) {
+  const cached = await caches.match(SHELL_URL)
+  const refresh = refreshShell(cached)
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(ASSET_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request, { cache: 'no-store' })
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      cache.put(request, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await caches.match(request)
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cached = await caches.match(event.request)
+  const refresh = fetch(event.request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(ASSET_CACHE)
+      await cache.put(event.request, response.clone())
+    }
+    return response
+  })
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET' || url.origin !== SCOPE.origin) return
+  if (url.pathname.startsWith('/api/')) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event))
+  } else if (url.href.split('?')[0] === CONFIG_URL) {
+    event.respondWith(networkFirst(request))
+  } else if (url.pathname.startsWith(`${SCOPE.pathname}assets/`)) {
+    event.respondWith(cacheFirst(request))
+  } else {
+    event.respondWith(staleWhileRevalidate(event))
+  }
+})
@@ -1,14 +1,55 @@
-import { useState, useEffect } from 'react'
-import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom'
+import { useMemo, useState } from 'react'
+import { BrowserRouter as Router, Routes, Route, Navigate, Link, useParams, useSearchParams } from 'react-router-dom'
 import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
-import { MoreVertical, Package, Users, DollarSign, TrendingUp } from 'lucide-react'
-import apiService from './lib/api.js'
+import { Toaster } from '@/components/ui/sonner.jsx'
+import CardActionMenu from '@/components/CardActionMenu.jsx'
+import ProductDetail from '@/components/ProductDetail.jsx'
+import CustomerDetail from '@/components/CustomerDetail.jsx'
+import QuoteWizard from '@/components/QuoteWizard.jsx'
+import Dashboard from '@/components/Dashboard.jsx'
+import ReportsCatalog from '@/components/ReportsCatalog.jsx'
+import ReportViewer from '@/components/ReportViewer.jsx'
+import ConnectionStatus from '@/components/ConnectionStatus.jsx'
+import LoginScreen from '@/components/LoginScreen.jsx'
+import RequireAuth from '@/components/RequireAuth.jsx'
+import RequirePermission from '@/components/RequirePermission.jsx'
+import { LoadingScreen, ErrorScreen, NotFoundScreen, NotAuthorizedScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import ExpiryBadge from '@/components/ExpiryBadge.jsx'
+import AgingSummary from '@/components/AgingSummary.jsx'
+import FeedToolbar from '@/components/FeedToolbar.jsx'
+import { FeedPagination, LoadMoreTrigger } from '@/components/FeedPaging.jsx'
+import VirtualCardGrid from '@/components/VirtualCardGrid.jsx'
+import { useDebouncedValue } from '@/hooks/use-debounced-value.js'
+import { useFeed } from '@/hooks/use-feed.js'
+import { useIsMobile } from '@/hooks/use-mobile.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import { useHistorySnapshot, useScrollRestoration } from '@/hooks/use-scroll-restoration.js'
+import { Package, Plus, Users } from 'lucide-react'
+import { formatCurrency, formatDate } from './lib/format.js'
+import { MODULES, getModule } from './lib/modules.js'
+import { readFeedQuery, updateFeedParams, clearFeedFilters, isFiltered } from './lib/feed-query.js'
+import { hasPermission, canViewModule } from './lib/permissions.js'
+import { getAgingBucket, summarizeAging } from './lib/finance.js'
+import { QUOTE_STATUS_VARIANTS } from './lib/quotes.js'
+import './lib/module-actions.js'
 import './App.css'
 
+const SEARCH_DELAY_MS = 300
+
 // Visual Card Component
-function VisualCard({ item, type, onAction }) {
+function VisualCard({ item, type, onActionComplete }) {
+  const permissions = usePermissions()
+  const actionMenu = (
+    <CardActionMenu
+      module={type}
+      item={item}
+      title={item.name || item.companyName || item.quoteNumber || item.batchNumber || item.invoiceNumber || item.billNumber}
+      onComplete={onActionComplete}
+    />
+  )
+
   const getCardContent = () => {
     switch (type) {
       case 'inventory':
@@ -21,14 +62,7 @@ function VisualCard({ item, type, onAction }) {
                   {item.status}
                 </Badge>
               </div>
-              <Button
-                variant="ghost"
-                size="sm"
-                className="text-white hover:bg-white/10"
-                onClick={() => onAction(item)}
-              >
-                <MoreVertical className="h-4 w-4" />
-              </Button>
+              {actionMenu}
             </div>
             
             <div className="grid grid-cols-2 gap-4 text-sm">
@@ -36,10 +70,17 @@ function VisualCard({ item, type, onAction }) {
                 <p className="text-gray-300">STOCK ON HAND</p>
                 <p className="text-2xl font-bold text-white">{item.stockOnHand || 0}</p>
               </div>
-              <div>
-                <p className="text-gray-300">BATCHES</p>
-                <p className="text-2xl font-bold text-white">{item.batches || 0}</p>
-              </div>
+              {canViewModule(permissions, 'batches') ? (
+                <Link to={`/visual/batches?productId=${item.id}`} className="block rounded-md hover:bg-white/5">
+                  <p className="text-gray-300">BATCHES</p>
+                  <p className="text-2xl font-bold text-white underline decoration-white/30 underline-offset-4">{item.batches || 0}</p>
+                </Link>
+              ) : (
+                <div>
+                  <p className="text-gray-300">BATCHES</p>
+                  <p className="text-2xl font-bold text-white">{item.batches || 0}</p>
+                </div>
+              )}
             </div>
             
             <div className="text-right">
@@ -59,14 +100,7 @@ function VisualCard({ item, type, onAction }) {
                   Customer
                 </Badge>
               </div>
-              <Button
-                variant="ghost"
-                size="sm"
-                className="text-white hover:bg-white/10"
-                onClick={() => onAction(item)}
-              >
-                <MoreVertical className="h-4 w-4" />
-              </Button>
+              {actionMenu}
             </div>
             
             <div className="space-y-2 text-sm">
@@ -81,7 +115,122 @@ function VisualCard({ item, type, onAction }) {
             </div>
           </div>
         )
-      
+
+      case 'quotes': {
+        const statusVariant = QUOTE_STATUS_VARIANTS[item.status] || 'outline'
+        return (
+          <div className="space-y-4">
+            <div className="flex justify-between items-start">
+              <div className="flex-1">
+                <h3 className="text-lg font-semibold text-white mb-2">{item.quoteNumber}</h3>
+                <Badge
+                  variant={statusVariant}
+                  className={statusVariant === 'outline' ? 'mb-3 text-white border-white/20' : 'mb-3'}
+                >
+                  {item.status || 'Draft'}
+                </Badge>
+              </div>
+              {actionMenu}
+            </div>
+
+            <div>
+              <p className="text-gray-300 text-sm">Customer</p>
+              <p className="text-white">{item.customerName || item.customer?.companyName}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-300">TOTAL</p>
+                <p className="text-2xl font-bold text-white">{formatCurrency(item.total)}</p>
+              </div>
+              <div>
+                <p className="text-gray-300">LINES</p>
+                <p className="text-2xl font-bold text-white">{item.lines?.length ?? item.lineCount ?? 0}</p>
+              </div>
+            </div>
+
+            <div className="text-right">
+              <p className="text-gray-300 text-sm">EXPIRES</p>
+              <p className="text-white">{formatDate(item.expiryDate)}</p>
+            </div>
+          </div>
+        )
+      }
+
+      case 'batches':
+        return (
+          <div className="space-y-4">
+            <div className="flex justify-between items-start">
+              <div className="flex-1">
+                <h3 className="text-lg font-semibold text-white mb-2 font-mono">{item.batchNumber}</h3>
+                <p className="text-gray-300 text-sm mb-3">{item.productName || item.sku}</p>
+              </div>
+              {actionMenu}
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-300">QUANTITY</p>
+                <p className="text-2xl font-bold text-white">{item.quantity ?? 0}</p>
+              </div>
+              <div>
+                <p className="text-gray-300">LOT</p>
+                <p className="text-white font-mono">{item.lotNumber || '—'}</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-300">RECEIVED</p>
+                <p className="text-white">{formatDate(item.receivedDate)}</p>
+              </div>
+              <div className="text-right">
+                <p className="text-gray-300 mb-1">EXPIRES</p>
+                <ExpiryBadge date={item.expiryDate} />
+              </div>
+            </div>
+          </div>
+        )
+
+      case 'ar':
+      case 'ap': {
+        const bucket = getAgingBucket(item.dueDate)
+        return (
+          <div className="space-y-4">
+            <div className="flex justify-between items-start">
+              <div className="flex-1">
+                <h3 className="text-lg font-semibold text-white mb-2">
+                  {type === 'ar' ? item.customerName : item.vendorName}
+                </h3>
+                <Badge
+                  variant={bucket.key === 'current' ? 'outline' : 'destructive'}
+                  className={bucket.key === 'current' ? 'mb-3 text-white border-white/20' : 'mb-3'}
+                >
+                  {bucket.key === 'current' ? 'Current' : `Overdue ${bucket.label}`}
+                </Badge>
+              </div>
+              {actionMenu}
+            </div>
+
+            <div>
+              <p className="text-gray-300 text-sm">AMOUNT DUE</p>
+              <p className="text-2xl font-bold text-white">{formatCurrency(item.amountDue)}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-300">{type === 'ar' ? 'INVOICE' : 'BILL'}</p>
+                <p className="text-white font-mono">{type === 'ar' ? item.invoiceNumber : item.billNumber}</p>
+              </div>
+              <div className="text-right">
+                <p className="text-gray-300">DUE</p>
+                <p className="text-white">{formatDate(item.dueDate)}</p>
+              </div>
+            </div>
+          </div>
+        )
+      }
+
       default:
         return <div className="text-white">Unknown item type</div>
     }
@@ -97,115 +246,164 @@ function VisualCard({ item, type, onAction }) {
 }
 
 // Visual Feed Component
-function VisualFeed({ module = 'inventory' }) {
-  const [items, setItems] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    fetchData()
-  }, [module])
-
-  const fetchData = async () => {
-    try {
-      setLoading(true)
-      setError(null)
-      
-      let data
-      switch (module) {
-        case 'inventory':
-          data = await apiService.getProducts()
-          break
-        case 'customers':
-          data = await apiService.getCustomers()
-          break
-        case 'quotes':
-          data = await apiService.getQuotes()
-          break
-        default:
-          data = await apiService.getProducts()
-      }
-      
-      // Handle different response formats
-      if (data.success) {
-        setItems(data.products || data.customers || data.quotes || data.data || [])
-      } else {
-        setItems(data || [])
-      }
-    } catch (err) {
-      console.error(`Error fetching ${module}:`, err)
-      setError(err.message)
-      setItems([])
-    } finally {
-      setLoading(false)
+function VisualFeed({ module = 'inventory', productId }) {
+  const moduleConfig = getModule(module)
+  const permissions = usePermissions()
+  const isMobile = useIsMobile()
+
+  // Search, filters, sort and page come from the URL so filtered views can be shared
+  const [searchParams, setSearchParams] = useSearchParams()
+  const urlQuery = useMemo(() => readFeedQuery(moduleConfig, searchParams), [moduleConfig, searchParams])
+  // The search box updates the URL as you type; the backend is asked once typing pauses
+  const search = useDebouncedValue(urlQuery.q, SEARCH_DELAY_MS)
+  // Built only from what the backend receives, so a keystroke alone loads nothing
+  const filtersKey = JSON.stringify(urlQuery.filters)
+  const query = useMemo(
+    () => ({ q: search, filters: JSON.parse(filtersKey), sort: urlQuery.sort, page: urlQuery.page }),
+    [search, filtersKey, urlQuery.sort, urlQuery.page]
+  )
+
+  // Back to this feed restores the scroll position, the pages scrolled through
+  // on mobile and the measured card rows, once the (cached) records are on screen
+  const snapshot = useHistorySnapshot()
+  const [gridMeasurements] = useState(() => ({ ...snapshot?.measurements }))
+
+  // Pages on desktop, infinite scroll on mobile; cached pages paint immediately
+  const feed = useFeed(moduleConfig, { query, productId, infinite: isMobile, initialPages: snapshot?.pages })
+  const { items, pageInfo, firstPage, loading, error, refreshing, refetch: fetchData } = feed
+
+  useScrollRestoration(snapshot, feed.current, () => ({
+    pages: feed.extraPages,
+    measurements: { ...gridMeasurements }
+  }))
+
+  const handleQueryChange = (changes) => {
+    setSearchParams((current) => updateFeedParams(moduleConfig, current, changes), { replace: true })
+  }
+
+  const handleClearFilters = () => handleQueryChange(clearFeedFilters(moduleConfig))
+
+  const handlePageChange = (page) => {
+    // The new page starts at the top once it is loaded (useScrollRestoration)
+    setSearchParams((current) => updateFeedParams(moduleConfig, current, { page }))
+  }
+
+  // Reload the feed so archived, duplicated or converted records show up
+  const handleActionComplete = (action) => {
+    if (action.refresh !== false) {
+      fetchData()
     }
   }
 
-  const handleAction = (item) => {
-    console.log('Action for item:', item)
-    // TODO: Implement action menu
+  if (!moduleConfig) {
+    return <NotFoundScreen title="Unknown module" message={`There is no "${module}" module.`} />
   }
 
   if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-50">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <p className="text-gray-600">Loading {module}...</p>
-        </div>
-      </div>
-    )
+    return <LoadingScreen label={moduleConfig.label.toLowerCase()} />
   }
 
-  if (error) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-50">
-        <div className="text-center">
-          <div className="text-red-500 mb-4">
-            <Package className="h-12 w-12 mx-auto mb-2" />
-          </div>
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">Connection Error</h2>
-          <p className="text-gray-600 mb-4">{error}</p>
-          <Button onClick={fetchData} className="bg-blue-600 hover:bg-blue-700">
-            Retry Connection
-          </Button>
-        </div>
-      </div>
-    )
+  if (!firstPage) {
+    return <ErrorScreen error={error} onRetry={fetchData} />
   }
 
-  if (items.length === 0) {
+  if (items.length === 0 && pageInfo.page === 1 && !isFiltered(urlQuery)) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-50">
         <div className="text-center">
           <div className="text-gray-400 mb-4">
             <Package className="h-12 w-12 mx-auto mb-2" />
           </div>
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">No {module} found</h2>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">No {moduleConfig.label.toLowerCase()} found</h2>
           <p className="text-gray-600">Connect to your ERP backend to see data here.</p>
         </div>
       </div>
     )
   }
 
+  // Backend totals when it paginates, otherwise worked out from the whole collection
+  const agingSummary = firstPage.meta.aging || (firstPage.records && summarizeAging(firstPage.records))
+
   return (
     <div className="min-h-screen bg-gray-50 p-4">
       <div className="max-w-7xl mx-auto">
         <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Visual ERP</h1>
-          <p className="text-gray-600">Mobile-first interface for your ERP system</p>
-        </div>
-        
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {items.map((item, index) => (
-            <VisualCard
-              key={item.id || index}
-              item={item}
-              type={module}
-              onAction={handleAction}
-            />
-          ))}
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Visual ERP</h1>
+              <p className="text-gray-600">Mobile-first interface for your ERP system</p>
+            </div>
+            {module === 'quotes' && hasPermission(permissions, 'quotes.create') && (
+              <Button asChild className="bg-blue-600 hover:bg-blue-700">
+                <Link to="/visual/quotes/new">
+                  <Plus className="h-4 w-4" />
+                  New quote
+                </Link>
+              </Button>
+            )}
+          </div>
+          {module === 'batches' && productId && (
+            <p className="text-sm text-gray-600 mt-2">
+              Showing batches for one product.{' '}
+              <Link to="/visual/batches" className="text-blue-600 underline">Show all batches</Link>
+            </p>
+          )}
         </div>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchData} />
+
+        {(module === 'ar' || module === 'ap') && agingSummary && (
+          <AgingSummary summary={agingSummary} title={`${moduleConfig.label} outstanding`} />
+        )}
+
+        <FeedToolbar
+          moduleConfig={moduleConfig}
+          query={urlQuery}
+          onChange={handleQueryChange}
+          onClear={handleClearFilters}
+          count={pageInfo.total}
+        />
+
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            {pageInfo.page > 1 ? (
+              <>
+                <h2 className="text-xl font-semibold text-gray-900 mb-2">This page is empty</h2>
+                <Button variant="outline" onClick={() => handlePageChange(1)}>Go to the first page</Button>
+              </>
+            ) : (
+              <>
+                <h2 className="text-xl font-semibold text-gray-900 mb-2">No matching {moduleConfig.label.toLowerCase()}</h2>
+                <p className="text-gray-600 mb-4">Try a different search or clear the filters.</p>
+                <Button variant="outline" onClick={handleClearFilters}>Clear filters</Button>
+              </>
+            )}
+          </div>
+        ) : (
+          <VirtualCardGrid
+            items={items}
+            getKey={(item, index) => item.id || index}
+            measurements={gridMeasurements}
+            renderItem={(item) => (
+              <VisualCard item={item} type={module} onActionComplete={handleActionComplete} />
+            )}
+          />
+        )}
+
+        {isMobile ? (
+          <LoadMoreTrigger
+            hasMore={pageInfo.hasMore}
+            loading={feed.loadingMore}
+            error={feed.loadMoreError}
+            onLoadMore={feed.loadMore}
+          />
+        ) : (
+          <FeedPagination
+            pageInfo={pageInfo}
+            hrefForPage={(page) => `?${updateFeedParams(moduleConfig, searchParams, { page })}`}
+            onPageChange={handlePageChange}
+          />
+        )}
       </div>
     </div>
   )
@@ -217,19 +415,59 @@ function App() {
     <Router>
       <div className="App">
         <Routes>
-          <Route path="/" element={<Navigate to="/visual/inventory" replace />} />
-          <Route path="/visual" element={<Navigate to="/visual/inventory" replace />} />
-          <Route path="/visual/:module" element={<VisualFeedWrapper />} />
+          <Route path="/login" element={<LoginScreen />} />
+          <Route element={<RequireAuth />}>
+            <Route path="/" element={<HomeRedirect />} />
+            <Route path="/visual" element={<HomeRedirect />} />
+            <Route element={<RequirePermission permission="dashboard.view" />}>
+              <Route path="/visual/dashboard" element={<Dashboard />} />
+            </Route>
+            <Route element={<RequirePermission permission="reports.view" />}>
+              <Route path="/visual/reports" element={<ReportsCatalog />} />
+              <Route path="/visual/reports/:id" element={<ReportViewer />} />
+            </Route>
+            <Route element={<RequirePermission permission="inventory.view" />}>
+              <Route path="/visual/inventory/:id" element={<ProductDetail />} />
+            </Route>
+            <Route element={<RequirePermission permission="customers.view" />}>
+              <Route path="/visual/customers/:id" element={<CustomerDetail />} />
+            </Route>
+            <Route element={<RequirePermission permission="quotes.create" />}>
+              <Route path="/visual/quotes/new" element={<QuoteWizard />} />
+            </Route>
+            <Route path="/visual/:module" element={<VisualFeedWrapper />} />
+          </Route>
         </Routes>
+        <ConnectionStatus />
+        <Toaster position="top-center" />
       </div>
     </Router>
   )
 }
 
+// Sends / and /visual to the dashboard, or to the first module the role can see
+function HomeRedirect() {
+  const permissions = usePermissions()
+  const home = ['dashboard', ...Object.keys(MODULES)].find((module) => canViewModule(permissions, module))
+
+  if (!home) {
+    return <NotAuthorizedScreen message="Your role does not have access to any Visual ERP screens." />
+  }
+
+  return <Navigate to={`/visual/${home}`} replace />
+}
+
 // Wrapper component to handle route params
 function VisualFeedWrapper() {
   const { module } = useParams()
-  return <VisualFeed module={module} />
+  const [searchParams] = useSearchParams()
+  const permissions = usePermissions()
+
+  if (getModule(module) && !canViewModule(permissions, module)) {
+    return <NotAuthorizedScreen />
+  }
+
+  return <VisualFeed module={module} productId={searchParams.get('productId')} />
 }
 
 export default App
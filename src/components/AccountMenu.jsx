@@ -0,0 +1,103 @@
+import { LogOut, Server } from 'lucide-react'
+import { toast } from 'sonner'
+import { Avatar, AvatarFallback } from '@/components/ui/avatar.jsx'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu.jsx'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import { useSession } from '@/hooks/use-session.js'
+import apiService from '@/lib/api.js'
+import { getActiveEnvironment, getEnvironments, setActiveEnvironment } from '@/lib/config.js'
+import { hasPermission } from '@/lib/permissions.js'
+
+function getInitials(user) {
+  const source = user?.name || user?.email || '?'
+  return source
+    .split(/[\s@.]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('')
+}
+
+// Account Menu Component
+// Signed-in user, environment switcher for admins and sign-out
+function AccountMenu() {
+  const session = useSession()
+  const permissions = usePermissions()
+
+  if (!session) return null
+
+  const { user } = session
+  const environments = getEnvironments()
+  const activeEnvironment = getActiveEnvironment()
+  const canSwitch = environments.length > 1 && hasPermission(permissions, 'environments.switch')
+
+  const handleLogout = async () => {
+    await apiService.logout()
+    toast.success('Signed out')
+  }
+
+  // Tokens belong to one backend, so switching signs out and reloads against the new one
+  const handleSwitch = async (id) => {
+    if (id === activeEnvironment.id) return
+    await apiService.logout()
+    setActiveEnvironment(id)
+    window.location.assign('/login')
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button type="button" className="rounded-full" aria-label="Account">
+          <Avatar className="size-9 border bg-white">
+            <AvatarFallback className="text-xs font-medium">{getInitials(user)}</AvatarFallback>
+          </Avatar>
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-56">
+        <DropdownMenuLabel>
+          <p className="font-medium">{user?.name || 'Signed in'}</p>
+          {user?.email && <p className="text-muted-foreground text-xs font-normal">{user.email}</p>}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {canSwitch && (
+          <>
+            <DropdownMenuSub>
+              <DropdownMenuSubTrigger>
+                <Server className="h-4 w-4" />
+                {activeEnvironment.label}
+              </DropdownMenuSubTrigger>
+              <DropdownMenuSubContent>
+                <DropdownMenuRadioGroup value={activeEnvironment.id} onValueChange={handleSwitch}>
+                  {environments.map((environment) => (
+                    <DropdownMenuRadioItem key={environment.id} value={environment.id}>
+                      {environment.label}
+                    </DropdownMenuRadioItem>
+                  ))}
+                </DropdownMenuRadioGroup>
+              </DropdownMenuSubContent>
+            </DropdownMenuSub>
+            <DropdownMenuSeparator />
+          </>
+        )}
+        <DropdownMenuItem onSelect={handleLogout}>
+          <LogOut className="h-4 w-4" />
+          Sign out
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default AccountMenu
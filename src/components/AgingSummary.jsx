@@ -0,0 +1,36 @@
+import { Card, CardContent } from '@/components/ui/card.jsx'
+import { AGING_BUCKETS } from '@/lib/finance.js'
+import { formatCurrency } from '@/lib/format.js'
+
+// Aging Summary Component
+// Amount due per aging bucket for an AR or AP feed; summary is { totals, total }
+// as returned by summarizeAging or sent by the backend
+function AgingSummary({ summary, title }) {
+  const { totals = {}, total } = summary
+
+  return (
+    <Card className="mb-6">
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-baseline justify-between">
+          <p className="text-gray-600 text-sm">{title}</p>
+          <p className="text-2xl font-bold text-gray-900">{formatCurrency(total)}</p>
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {AGING_BUCKETS.map((bucket) => {
+            const overdue = bucket.key !== 'current' && totals[bucket.key] > 0
+            return (
+              <div key={bucket.key} className={`rounded-md p-2 ${overdue ? 'bg-red-50' : 'bg-gray-100'}`}>
+                <p className="text-xs text-gray-600">{bucket.label}</p>
+                <p className={`font-semibold ${overdue ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatCurrency(totals[bucket.key] || 0)}
+                </p>
+              </div>
+            )
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default AgingSummary
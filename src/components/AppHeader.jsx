@@ -0,0 +1,36 @@
+import { Link } from 'react-router-dom'
+import { Search } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { SidebarTrigger } from '@/components/ui/sidebar.jsx'
+import AccountMenu from '@/components/AccountMenu.jsx'
+import CompanySelector from '@/components/CompanySelector.jsx'
+import OutboxStatus from '@/components/OutboxStatus.jsx'
+import { formatShortcut } from '@/lib/shortcuts.js'
+
+// App Header Component
+// Top bar on every signed-in screen: sidebar toggle (desktop) or home link (mobile),
+// search, company, offline changes and account
+function AppHeader({ companies, onSearch }) {
+  return (
+    <header className="sticky top-0 z-30 border-b bg-white/90 backdrop-blur">
+      <div className="max-w-7xl mx-auto flex items-center justify-between gap-4 px-4 h-14">
+        <div className="flex items-center gap-3 min-w-0">
+          <SidebarTrigger className="hidden md:inline-flex" />
+          <Link to="/" className="font-bold text-gray-900 shrink-0 md:hidden">Visual ERP</Link>
+          <Button variant="outline" size="sm" className="text-muted-foreground" onClick={onSearch} aria-label="Search">
+            <Search className="h-4 w-4" />
+            <span className="hidden sm:inline">Search</span>
+            <kbd className="hidden md:inline rounded border bg-muted px-1.5 font-mono text-[10px]">{formatShortcut('k')}</kbd>
+          </Button>
+        </div>
+        <div className="flex items-center gap-3 min-w-0">
+          <CompanySelector companies={companies} />
+          <OutboxStatus />
+          <AccountMenu />
+        </div>
+      </div>
+    </header>
+  )
+}
+
+export default AppHeader
@@ -0,0 +1,169 @@
+import { useCallback, useMemo, useState } from 'react'
+import { Link, NavLink, Outlet, useLocation } from 'react-router-dom'
+import { Ellipsis } from 'lucide-react'
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarHeader,
+  SidebarInset,
+  SidebarMenu,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarProvider,
+  SidebarRail,
+  useSidebar
+} from '@/components/ui/sidebar.jsx'
+import AppHeader from '@/components/AppHeader.jsx'
+import CommandPalette from '@/components/CommandPalette.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { useIsMobile } from '@/hooks/use-mobile.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import { getNavItems, loadBadgeCounts } from '@/lib/navigation.js'
+
+const MAX_TABS = 4
+
+// The sidebar component persists its open state in this cookie
+const SIDEBAR_COOKIE = /(?:^|;\s*)sidebar_state=(true|false)/
+
+function isActivePath(pathname, item) {
+  return pathname === item.to || pathname.startsWith(`${item.to}/`)
+}
+
+function formatBadge(count) {
+  return count > 99 ? '99+' : String(count)
+}
+
+// App Sidebar Component
+// Module list: fixed on desktop (collapsible to icons), a sheet behind "More" on mobile
+function AppSidebar({ items, counts }) {
+  const { pathname } = useLocation()
+  const { isMobile, setOpenMobile } = useSidebar()
+
+  return (
+    <Sidebar collapsible="icon">
+      <SidebarHeader>
+        <SidebarMenu>
+          <SidebarMenuItem>
+            <SidebarMenuButton asChild size="lg" tooltip="Visual ERP">
+              <Link to="/" onClick={() => setOpenMobile(false)}>
+                <span className="flex size-8 shrink-0 items-center justify-center rounded-md bg-blue-600 text-sm font-bold text-white">
+                  V
+                </span>
+                <span className="font-bold">Visual ERP</span>
+              </Link>
+            </SidebarMenuButton>
+          </SidebarMenuItem>
+        </SidebarMenu>
+      </SidebarHeader>
+      <SidebarContent>
+        <SidebarGroup>
+          <SidebarGroupContent>
+            <SidebarMenu>
+              {items.map((item) => {
+                const Icon = item.icon
+                const count = counts[item.module]
+                return (
+                  <SidebarMenuItem key={item.module}>
+                    <SidebarMenuButton asChild isActive={isActivePath(pathname, item)} tooltip={item.label}>
+                      <Link to={item.to} onClick={() => isMobile && setOpenMobile(false)}>
+                        <Icon />
+                        <span>{item.label}</span>
+                      </Link>
+                    </SidebarMenuButton>
+                    {count > 0 && (
+                      <SidebarMenuBadge
+                        className="bg-red-100 text-red-700"
+                        aria-label={`${count} ${item.badge.label}`}
+                      >
+                        {formatBadge(count)}
+                      </SidebarMenuBadge>
+                    )}
+                  </SidebarMenuItem>
+                )
+              })}
+            </SidebarMenu>
+          </SidebarGroupContent>
+        </SidebarGroup>
+      </SidebarContent>
+      <SidebarRail />
+    </Sidebar>
+  )
+}
+
+// Bottom Tab Bar Component
+// Mobile navigation: the primary modules as tabs, everything else behind "More"
+function BottomTabBar({ items, counts }) {
+  const { pathname } = useLocation()
+  const { openMobile, setOpenMobile } = useSidebar()
+  const tabs = items.filter((item) => item.primary).slice(0, MAX_TABS)
+  const moreActive = openMobile || !tabs.some((item) => isActivePath(pathname, item))
+  const moreCount = items
+    .filter((item) => !tabs.includes(item))
+    .reduce((sum, item) => sum + (counts[item.module] || 0), 0)
+
+  const tabClass = (active) =>
+    `relative flex flex-1 flex-col items-center gap-0.5 py-2 text-[11px] font-medium ${active ? 'text-blue-600' : 'text-gray-500'}`
+  const badge = (count, label) => count > 0 && (
+    <span
+      className="absolute top-1 left-1/2 ml-2 min-w-4 rounded-full bg-red-600 px-1 text-center text-[10px] leading-4 text-white"
+      aria-label={`${count} ${label}`}
+    >
+      {formatBadge(count)}
+    </span>
+  )
+
+  return (
+    <nav
+      className="fixed inset-x-0 bottom-0 z-30 flex border-t bg-white/95 pb-[env(safe-area-inset-bottom)] backdrop-blur"
+      aria-label="Modules"
+    >
+      {tabs.map((item) => {
+        const Icon = item.icon
+        return (
+          <NavLink key={item.module} to={item.to} className={({ isActive }) => tabClass(isActive && !openMobile)}>
+            <Icon className="h-5 w-5" />
+            {item.label}
+            {badge(counts[item.module], item.badge?.label)}
+          </NavLink>
+        )
+      })}
+      {items.length > tabs.length && (
+        <button type="button" className={tabClass(moreActive)} onClick={() => setOpenMobile(!openMobile)}>
+          <Ellipsis className="h-5 w-5" />
+          More
+          {badge(moreCount, 'need attention')}
+        </button>
+      )}
+    </nav>
+  )
+}
+
+// App Shell Component
+// Signed-in layout: sidebar and header on desktop, header and bottom tabs on mobile
+function AppShell({ companies }) {
+  const permissions = usePermissions()
+  const isMobile = useIsMobile()
+  const items = useMemo(() => getNavItems(permissions), [permissions])
+  const defaultOpen = SIDEBAR_COOKIE.exec(document.cookie)?.[1] !== 'false'
+  const [paletteOpen, setPaletteOpen] = useState(false)
+
+  const loadCounts = useCallback((options) => loadBadgeCounts(items, options), [items])
+  const { data: counts = {} } = useCachedQuery(loadCounts)
+
+  return (
+    <SidebarProvider defaultOpen={defaultOpen}>
+      <AppSidebar items={items} counts={counts} />
+      <SidebarInset className={isMobile ? 'pb-16' : ''}>
+        <AppHeader companies={companies} onSearch={() => setPaletteOpen(true)} />
+        <Outlet />
+      </SidebarInset>
+      {isMobile && <BottomTabBar items={items} counts={counts} />}
+      <CommandPalette open={paletteOpen} onOpenChange={setPaletteOpen} />
+    </SidebarProvider>
+  )
+}
+
+export default AppShell
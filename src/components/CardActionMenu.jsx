@@ -0,0 +1,174 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { MoreVertical } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button.jsx'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu.jsx'
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle
+} from '@/components/ui/drawer.jsx'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog.jsx'
+import { useIsMobile } from '@/hooks/use-mobile.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import { getCardActions } from '@/lib/card-actions.js'
+
+// Card Action Menu Component
+// Dropdown on desktop, bottom drawer on mobile
+function CardActionMenu({ module, item, title, onComplete }) {
+  const isMobile = useIsMobile()
+  const navigate = useNavigate()
+  const permissions = usePermissions()
+  const [drawerOpen, setDrawerOpen] = useState(false)
+  const [pendingConfirm, setPendingConfirm] = useState(null)
+  const [activeDialog, setActiveDialog] = useState(null)
+
+  const actions = getCardActions(module, item, permissions)
+
+  if (actions.length === 0) {
+    return null
+  }
+
+  // Writes made offline come back queued; they are announced instead of the success message
+  const completeAction = (action, result) => {
+    if (result?.queued) {
+      toast.info('Saved offline', { description: `${action.label} will sync when you are back online.` })
+    } else if (action.success) {
+      toast.success(typeof action.success === 'function' ? action.success(item) : action.success)
+    }
+    onComplete?.(action)
+  }
+
+  const runAction = async (action) => {
+    try {
+      const result = await action.run(item, { navigate })
+      completeAction(action, result)
+    } catch (err) {
+      toast.error(`${action.label} failed`, { description: err.message })
+    }
+  }
+
+  const selectAction = (action) => {
+    setDrawerOpen(false)
+    if (action.dialog) {
+      setActiveDialog(action)
+    } else if (action.confirm) {
+      setPendingConfirm(action)
+    } else {
+      runAction(action)
+    }
+  }
+
+  const trigger = (
+    <Button
+      variant="ghost"
+      size="sm"
+      className="text-white hover:bg-white/10"
+      aria-label="Open actions"
+      onClick={isMobile ? () => setDrawerOpen(true) : undefined}
+    >
+      <MoreVertical className="h-4 w-4" />
+    </Button>
+  )
+
+  const ActionDialog = activeDialog?.dialog
+
+  return (
+    <>
+      {isMobile ? (
+        <>
+          {trigger}
+          <Drawer open={drawerOpen} onOpenChange={setDrawerOpen}>
+            <DrawerContent>
+              <DrawerHeader>
+                <DrawerTitle>{title}</DrawerTitle>
+                <DrawerDescription>Choose an action</DrawerDescription>
+              </DrawerHeader>
+              <div className="flex flex-col gap-1 px-4 pb-6">
+                {actions.map((action) => {
+                  const Icon = action.icon
+                  return (
+                    <Button
+                      key={action.id}
+                      variant="ghost"
+                      className={`justify-start h-12 text-base ${action.destructive ? 'text-destructive' : ''}`}
+                      onClick={() => selectAction(action)}
+                    >
+                      {Icon && <Icon className="h-5 w-5" />}
+                      {action.label}
+                    </Button>
+                  )
+                })}
+              </div>
+            </DrawerContent>
+          </Drawer>
+        </>
+      ) : (
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>{trigger}</DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            {actions.map((action) => {
+              const Icon = action.icon
+              return (
+                <DropdownMenuItem
+                  key={action.id}
+                  variant={action.destructive ? 'destructive' : 'default'}
+                  onSelect={() => selectAction(action)}
+                >
+                  {Icon && <Icon />}
+                  {action.label}
+                </DropdownMenuItem>
+              )
+            })}
+          </DropdownMenuContent>
+        </DropdownMenu>
+      )}
+
+      <AlertDialog open={!!pendingConfirm} onOpenChange={(open) => !open && setPendingConfirm(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{pendingConfirm?.confirm?.title}</AlertDialogTitle>
+            <AlertDialogDescription>{pendingConfirm?.confirm?.description}</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => runAction(pendingConfirm)}>
+              {pendingConfirm?.label}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {ActionDialog && (
+        <ActionDialog
+          item={item}
+          open
+          onOpenChange={(open) => !open && setActiveDialog(null)}
+          onComplete={(result) => {
+            setActiveDialog(null)
+            completeAction(activeDialog, result)
+          }}
+        />
+      )}
+    </>
+  )
+}
+
+export default CardActionMenu
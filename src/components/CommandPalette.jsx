@@ -0,0 +1,171 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { FilePlus, Package, PanelLeft, User } from 'lucide-react'
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandShortcut
+} from '@/components/ui/command.jsx'
+import { useSidebar } from '@/components/ui/sidebar.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { useDebouncedValue } from '@/hooks/use-debounced-value.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import apiService from '@/lib/api.js'
+import { getNavItems } from '@/lib/navigation.js'
+import { canViewModule, hasPermission } from '@/lib/permissions.js'
+import { formatShortcut, isModShortcut } from '@/lib/shortcuts.js'
+
+const MIN_SEARCH_LENGTH = 2
+
+const SEARCH_DELAY_MS = 250
+
+const NO_RESULTS = { products: [], customers: [] }
+
+// Command Palette Component
+// Cmd/Ctrl+K: jump to a module, find products and customers on the backend, start a quote
+function CommandPalette({ open, onOpenChange }) {
+  const navigate = useNavigate()
+  const permissions = usePermissions()
+  const { isMobile, toggleSidebar } = useSidebar()
+  const [query, setQuery] = useState('')
+  const search = useDebouncedValue(query.trim(), SEARCH_DELAY_MS)
+  const navItems = useMemo(() => getNavItems(permissions), [permissions])
+  // Only search what the role can open
+  const findProducts = canViewModule(permissions, 'inventory')
+  const findCustomers = canViewModule(permissions, 'customers')
+  const canCreateQuote = hasPermission(permissions, 'quotes.create')
+
+  const loadResults = useCallback(async (options) => {
+    if (search.length < MIN_SEARCH_LENGTH) return NO_RESULTS
+    const empty = { data: [] }
+    const [{ data: products }, { data: customers }] = await Promise.all([
+      findProducts ? apiService.searchProducts(search, options) : empty,
+      findCustomers ? apiService.searchCustomers(search, options) : empty
+    ])
+    return { products, customers }
+  }, [search, findProducts, findCustomers])
+
+  const { data: results = NO_RESULTS, loading, error } = useCachedQuery(loadResults)
+  const searching = query.trim().length >= MIN_SEARCH_LENGTH && (loading || query.trim() !== search)
+
+  const handleOpenChange = useCallback((next) => {
+    if (!next) setQuery('')
+    onOpenChange(next)
+  }, [onOpenChange])
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isModShortcut(event, 'k')) {
+        event.preventDefault()
+        handleOpenChange(!open)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [open, handleOpenChange])
+
+  const run = (action) => {
+    handleOpenChange(false)
+    action()
+  }
+
+  return (
+    <CommandDialog
+      open={open}
+      onOpenChange={handleOpenChange}
+      title="Search Visual ERP"
+      description="Go to a module, find a product or customer, or start a quote."
+    >
+      <CommandInput
+        value={query}
+        onValueChange={setQuery}
+        placeholder="Search modules, products and customers…"
+      />
+      <CommandList>
+        <CommandEmpty>{searching ? 'Searching…' : 'No results found.'}</CommandEmpty>
+        {error && !searching && (
+          <p className="px-3 py-2 text-sm text-red-600">Search failed: {error.message}</p>
+        )}
+
+        <CommandGroup heading="Go to">
+          {navItems.map((item) => {
+            const Icon = item.icon
+            return (
+              <CommandItem key={item.module} value={item.label} onSelect={() => run(() => navigate(item.to))}>
+                <Icon />
+                {item.label}
+              </CommandItem>
+            )
+          })}
+        </CommandGroup>
+
+        {results.products.length > 0 && (
+          <CommandGroup heading="Products">
+            {results.products.map((product) => (
+              <CommandItem
+                key={product.id}
+                value={`${product.name} ${product.sku}`}
+                onSelect={() => run(() => navigate(`/visual/inventory/${product.id}`))}
+              >
+                <Package />
+                <span className="truncate">{product.name}</span>
+                <span className="ml-auto font-mono text-xs text-muted-foreground">{product.sku}</span>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+
+        {results.customers.length > 0 && (
+          <CommandGroup heading="Customers">
+            {results.customers.map((customer) => (
+              <CommandItem
+                key={customer.id}
+                value={`${customer.companyName} ${customer.id}`}
+                keywords={[customer.contactName || '']}
+                onSelect={() => run(() => navigate(`/visual/customers/${customer.id}`))}
+              >
+                <User />
+                <span className="truncate">{customer.companyName}</span>
+                <span className="ml-auto truncate text-xs text-muted-foreground">{customer.contactName}</span>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+
+        <CommandGroup heading="Actions">
+          {canCreateQuote && results.customers.map((customer) => (
+            <CommandItem
+              key={customer.id}
+              value={`New quote for ${customer.companyName} ${customer.id}`}
+              keywords={[customer.contactName || '']}
+              onSelect={() => run(() => navigate(`/visual/quotes/new?customerId=${customer.id}`))}
+            >
+              <FilePlus />
+              New quote for {customer.companyName}
+            </CommandItem>
+          ))}
+          {canCreateQuote && (
+            <CommandItem value="New quote" onSelect={() => run(() => navigate('/visual/quotes/new'))}>
+              <FilePlus />
+              New quote
+            </CommandItem>
+          )}
+          {!isMobile && (
+            <CommandItem value="Toggle sidebar" onSelect={() => run(toggleSidebar)}>
+              <PanelLeft />
+              Toggle sidebar
+              <CommandShortcut>{formatShortcut('b')}</CommandShortcut>
+            </CommandItem>
+          )}
+        </CommandGroup>
+      </CommandList>
+    </CommandDialog>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,51 @@
+import { Building2 } from 'lucide-react'
+import { toast } from 'sonner'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select.jsx'
+import { useCompanyId } from '@/hooks/use-company.js'
+import { setCompanyId } from '@/lib/company.js'
+
+// Company Selector Component
+// Switches the legal entity every request and cached screen is scoped to
+function CompanySelector({ companies }) {
+  const companyId = useCompanyId()
+  const current = companies.find((company) => String(company.id) === companyId)
+
+  if (companies.length < 2) {
+    return current ? (
+      <span className="flex items-center gap-2 text-sm text-gray-700 truncate">
+        <Building2 className="h-4 w-4 shrink-0" />
+        {current.name}
+      </span>
+    ) : null
+  }
+
+  const handleChange = (id) => {
+    setCompanyId(id)
+    const company = companies.find((candidate) => String(candidate.id) === id)
+    toast.success(`Switched to ${company?.name}`)
+  }
+
+  return (
+    <Select value={companyId || ''} onValueChange={handleChange}>
+      <SelectTrigger className="w-48 sm:w-64" aria-label="Company">
+        <Building2 className="h-4 w-4" />
+        <SelectValue placeholder="Choose a company" />
+      </SelectTrigger>
+      <SelectContent>
+        {companies.map((company) => (
+          <SelectItem key={company.id} value={String(company.id)}>
+            {company.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+export default CompanySelector
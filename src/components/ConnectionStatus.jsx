@@ -0,0 +1,116 @@
+import { RefreshCw } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import { useBackendHealth } from '@/hooks/use-backend-health.js'
+import { useSession } from '@/hooks/use-session.js'
+import apiService from '@/lib/api.js'
+import { getActiveEnvironment } from '@/lib/config.js'
+
+const STATUS_DISPLAY = {
+  checking: {
+    label: 'Checking…',
+    dot: 'bg-gray-400',
+    help: 'Contacting the ERP backend.'
+  },
+  online: {
+    label: 'Connected',
+    dot: 'bg-emerald-500',
+    help: 'The ERP backend is reachable.'
+  },
+  offline: {
+    label: 'Offline',
+    dot: 'bg-gray-500',
+    help: 'This device has no network connection. Check Wi-Fi or mobile data.'
+  },
+  network: {
+    label: 'Unreachable',
+    dot: 'bg-red-500',
+    help: 'The device is online but cannot reach the ERP backend. The server may be down or blocked on this network.'
+  },
+  auth: {
+    label: 'Not authorized',
+    dot: 'bg-amber-500',
+    help: 'The ERP backend rejected our credentials. Sign in again or contact your administrator.'
+  },
+  server: {
+    label: 'Server error',
+    dot: 'bg-red-500',
+    help: 'The ERP backend is reachable but reported an error. This is a problem on the ERP side, not the device.'
+  }
+}
+
+// Connection Status Component
+// Persistent backend health pill with details and a retry button
+function ConnectionStatus() {
+  const health = useBackendHealth()
+  const display = STATUS_DISPLAY[health.status]
+  // Signed-in screens have the bottom tab bar on mobile; sit above it
+  const position = useSession() ? 'bottom-20 md:bottom-4' : 'bottom-4'
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          type="button"
+          className={`fixed ${position} right-4 z-40 flex items-center gap-2 rounded-full border bg-white/90 px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm backdrop-blur`}
+          aria-label={`Backend status: ${display.label}`}
+        >
+          <span className={`h-2 w-2 rounded-full ${display.dot}`} />
+          {display.label}
+          {health.status === 'online' && health.latency !== undefined && (
+            <span className="text-gray-500">{health.latency} ms</span>
+          )}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-72 space-y-3 text-sm">
+        <div className="flex items-center gap-2 font-semibold">
+          <span className={`h-2 w-2 rounded-full ${display.dot}`} />
+          {display.label}
+        </div>
+        <p className="text-gray-600">{display.help}</p>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+          <dt className="text-gray-500">Environment</dt>
+          <dd>{getActiveEnvironment().label}</dd>
+          <dt className="text-gray-500">Backend</dt>
+          <dd className="break-all">{apiService.baseURL}</dd>
+          {health.version && (
+            <>
+              <dt className="text-gray-500">Version</dt>
+              <dd>{health.version}</dd>
+            </>
+          )}
+          {health.latency !== undefined && (
+            <>
+              <dt className="text-gray-500">Latency</dt>
+              <dd>{health.latency} ms</dd>
+            </>
+          )}
+          {health.httpStatus && (
+            <>
+              <dt className="text-gray-500">HTTP status</dt>
+              <dd>{health.httpStatus}</dd>
+            </>
+          )}
+          {health.checkedAt && (
+            <>
+              <dt className="text-gray-500">Last check</dt>
+              <dd>{health.checkedAt.toLocaleTimeString()}</dd>
+            </>
+          )}
+        </dl>
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-full"
+          onClick={health.retry}
+          disabled={health.status === 'checking'}
+        >
+          <RefreshCw className={`h-4 w-4 ${health.status === 'checking' ? 'animate-spin' : ''}`} />
+          Check again
+        </Button>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+export default ConnectionStatus
@@ -0,0 +1,178 @@
+import { useCallback } from 'react'
+import { useParams } from 'react-router-dom'
+import { ArrowLeft, Mail, Phone, MapPin } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { LoadingScreen, ErrorScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import { useBackNavigation } from '@/hooks/use-back-navigation.js'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import apiService from '@/lib/api.js'
+import { formatCurrency, formatDate } from '@/lib/format.js'
+import { canViewModule } from '@/lib/permissions.js'
+import { QUOTE_STATUS_VARIANTS } from '@/lib/quotes.js'
+
+const CONTACT_BUTTON_CLASS = 'h-12 bg-white/10 hover:bg-white/20 text-white'
+
+// Customer Detail Component
+// Customer 360 view at /visual/customers/:id
+function CustomerDetail() {
+  const { id } = useParams()
+  const handleBack = useBackNavigation('/visual/customers')
+  const permissions = usePermissions()
+  // Sections for modules the role cannot see are hidden and not requested
+  const showQuotes = canViewModule(permissions, 'quotes')
+  const showInvoices = canViewModule(permissions, 'ar')
+
+  const loadCustomer = useCallback(async (options) => {
+    const empty = { data: [] }
+    const [{ data: customer }, { data: allQuotes }, { data: allInvoices }] = await Promise.all([
+      apiService.getCustomer(id, options),
+      showQuotes ? apiService.getQuotes({ ...options, params: { customerId: id } }) : empty,
+      showInvoices ? apiService.getAccountsReceivable({ ...options, params: { customerId: id } }) : empty
+    ])
+
+    // Also filtered here for backends that ignore customerId
+    const belongsToCustomer = (record) => String(record.customerId) === String(id)
+    return {
+      customer,
+      quotes: allQuotes.filter(belongsToCustomer),
+      invoices: allInvoices.filter(belongsToCustomer)
+    }
+  }, [id, showQuotes, showInvoices])
+
+  const { data, loading, error, refreshing, refetch: fetchCustomer } = useCachedQuery(loadCustomer)
+
+  if (loading) {
+    return <LoadingScreen label="customer" />
+  }
+
+  if (!data) {
+    return <ErrorScreen error={error} onRetry={fetchCustomer} />
+  }
+
+  const { customer, quotes, invoices } = data
+  const now = new Date()
+  const balance = invoices.reduce((sum, invoice) => sum + Number(invoice.amountDue || 0), 0)
+  const overdue = invoices
+    .filter((invoice) => invoice.dueDate && new Date(invoice.dueDate) < now)
+    .reduce((sum, invoice) => sum + Number(invoice.amountDue || 0), 0)
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <Button variant="ghost" onClick={handleBack}>
+          <ArrowLeft className="h-4 w-4" />
+          Customers
+        </Button>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchCustomer} />
+
+        <Card className="bg-gradient-to-br from-slate-800 to-slate-900 border-slate-700">
+          <CardContent className="p-6 space-y-4">
+            <div>
+              <h1 className="text-2xl font-bold text-white mb-2">{customer.companyName}</h1>
+              <p className="text-gray-300">{customer.contactName}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              {customer.phone ? (
+                <Button asChild className={CONTACT_BUTTON_CLASS}>
+                  <a href={`tel:${customer.phone}`}>
+                    <Phone className="h-4 w-4" />
+                    Call
+                  </a>
+                </Button>
+              ) : (
+                <Button disabled className={CONTACT_BUTTON_CLASS}>
+                  <Phone className="h-4 w-4" />
+                  No phone
+                </Button>
+              )}
+              {customer.email ? (
+                <Button asChild className={CONTACT_BUTTON_CLASS}>
+                  <a href={`mailto:${customer.email}`}>
+                    <Mail className="h-4 w-4" />
+                    Email
+                  </a>
+                </Button>
+              ) : (
+                <Button disabled className={CONTACT_BUTTON_CLASS}>
+                  <Mail className="h-4 w-4" />
+                  No email
+                </Button>
+              )}
+            </div>
+
+            <div className="space-y-2 text-sm">
+              {customer.email && <p className="text-white">{customer.email}</p>}
+              {customer.phone && <p className="text-white">{customer.phone}</p>}
+              {customer.address && (
+                <p className="text-gray-300 flex items-start gap-2">
+                  <MapPin className="h-4 w-4 mt-0.5 shrink-0" />
+                  {customer.address}
+                </p>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        {showInvoices && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Accounts receivable</CardTitle>
+            </CardHeader>
+            <CardContent className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-gray-600 text-sm">BALANCE</p>
+                <p className="text-2xl font-bold">{formatCurrency(balance)}</p>
+                <p className="text-gray-600 text-sm">
+                  {invoices.length} open invoice{invoices.length === 1 ? '' : 's'}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="text-gray-600 text-sm">OVERDUE</p>
+                <p className={`text-2xl font-bold ${overdue > 0 ? 'text-red-600' : ''}`}>
+                  {formatCurrency(overdue)}
+                </p>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {showQuotes && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Quotes ({quotes.length})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {quotes.length === 0 ? (
+                <p className="text-gray-600 text-sm">No quotes for this customer yet.</p>
+              ) : (
+                <ul className="divide-y">
+                  {quotes.map((quote, index) => (
+                    <li key={quote.id || index} className="flex items-center justify-between py-3">
+                      <div>
+                        <p className="font-medium">{quote.quoteNumber}</p>
+                        <p className="text-gray-600 text-sm">Expires {formatDate(quote.expiryDate)}</p>
+                      </div>
+                      <div className="text-right space-y-1">
+                        <p className="font-semibold">{formatCurrency(quote.total)}</p>
+                        <Badge variant={QUOTE_STATUS_VARIANTS[quote.status] || 'outline'}>
+                          {quote.status || 'Draft'}
+                        </Badge>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CustomerDetail
@@ -0,0 +1,174 @@
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts'
+import { DollarSign, TrendingUp, TrendingDown, Package, FileCheck } from 'lucide-react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  ChartLegend,
+  ChartLegendContent
+} from '@/components/ui/chart.jsx'
+import { LoadingScreen, ErrorScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import apiService from '@/lib/api.js'
+import { formatCurrency, formatCompactCurrency, formatPercent } from '@/lib/format.js'
+
+const revenueChartConfig = {
+  revenue: { label: 'Revenue', color: 'var(--chart-1)' }
+}
+
+const inventoryChartConfig = {
+  value: { label: 'Inventory value', color: 'var(--chart-2)' }
+}
+
+const conversionChartConfig = {
+  sent: { label: 'Quotes sent', color: 'var(--chart-3)' },
+  accepted: { label: 'Quotes accepted', color: 'var(--chart-4)' }
+}
+
+const loadDashboard = async (options) => (await apiService.getDashboardData(options)).data
+
+// KPI Tile Component
+function KpiTile({ title, value, detail, icon, trend }) {
+  const Icon = icon
+  return (
+    <Card className="bg-gradient-to-br from-slate-800 to-slate-900 border-slate-700">
+      <CardContent className="p-4 space-y-2">
+        <div className="flex items-center justify-between">
+          <p className="text-gray-300 text-sm">{title}</p>
+          <Icon className="h-4 w-4 text-gray-300" />
+        </div>
+        <p className="text-2xl font-bold text-white">{value}</p>
+        {detail && (
+          <p className={`text-xs ${trend < 0 ? 'text-red-400' : trend > 0 ? 'text-emerald-400' : 'text-gray-300'}`}>
+            {detail}
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+// Dashboard Component
+// Management landing screen at /visual/dashboard
+function Dashboard() {
+  const { data: dashboard, loading, error, refreshing, refetch: fetchDashboard } = useCachedQuery(loadDashboard)
+
+  if (loading) {
+    return <LoadingScreen label="dashboard" />
+  }
+
+  if (!dashboard) {
+    return <ErrorScreen error={error} onRetry={fetchDashboard} />
+  }
+
+  const kpis = dashboard.kpis || {}
+  const revenueChange = Number(kpis.revenueChange) || 0
+  const revenue = dashboard.revenue || []
+  const inventoryValue = dashboard.inventoryValue || []
+  const quoteConversion = dashboard.quoteConversion || []
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Dashboard</h1>
+          <p className="text-gray-600">Key figures across sales, inventory and quotes</p>
+        </div>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchDashboard} />
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <KpiTile
+            title="Revenue"
+            value={formatCurrency(kpis.revenue)}
+            icon={DollarSign}
+          />
+          <KpiTile
+            title="Revenue growth"
+            value={formatPercent(revenueChange)}
+            detail={revenueChange < 0 ? 'Down on last period' : 'Up on last period'}
+            trend={revenueChange}
+            icon={revenueChange < 0 ? TrendingDown : TrendingUp}
+          />
+          <KpiTile
+            title="Inventory value"
+            value={formatCurrency(kpis.inventoryValue)}
+            icon={Package}
+          />
+          <KpiTile
+            title="Quote conversion"
+            value={formatPercent(kpis.quoteConversionRate)}
+            detail={`${kpis.openQuotes ?? 0} open quotes`}
+            icon={FileCheck}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Revenue</CardTitle>
+              <CardDescription>Invoiced revenue by period</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ChartContainer config={revenueChartConfig}>
+                <AreaChart data={revenue} margin={{ left: 12, right: 12 }}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="period" tickLine={false} axisLine={false} tickMargin={8} />
+                  <YAxis tickLine={false} axisLine={false} tickFormatter={formatCompactCurrency} width={56} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Area
+                    dataKey="revenue"
+                    type="monotone"
+                    fill="var(--color-revenue)"
+                    fillOpacity={0.3}
+                    stroke="var(--color-revenue)"
+                  />
+                </AreaChart>
+              </ChartContainer>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Inventory value</CardTitle>
+              <CardDescription>Stock on hand at cost</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ChartContainer config={inventoryChartConfig}>
+                <LineChart data={inventoryValue} margin={{ left: 12, right: 12 }}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="period" tickLine={false} axisLine={false} tickMargin={8} />
+                  <YAxis tickLine={false} axisLine={false} tickFormatter={formatCompactCurrency} width={56} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Line dataKey="value" type="monotone" stroke="var(--color-value)" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ChartContainer>
+            </CardContent>
+          </Card>
+
+          <Card className="lg:col-span-2">
+            <CardHeader>
+              <CardTitle>Quote conversion</CardTitle>
+              <CardDescription>Quotes sent against quotes accepted</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ChartContainer config={conversionChartConfig} className="max-h-[320px] w-full">
+                <BarChart data={quoteConversion}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="period" tickLine={false} axisLine={false} tickMargin={8} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <ChartLegend content={<ChartLegendContent />} />
+                  <Bar dataKey="sent" fill="var(--color-sent)" radius={4} />
+                  <Bar dataKey="accepted" fill="var(--color-accepted)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Dashboard
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx'
+import apiService from '@/lib/api.js'
+import { copyProduct } from '@/lib/inventory.js'
+
+// Edit Product Dialog Component
+// With duplicate, reviews a copy of the product (every field but its id and
+// stock) before creating it
+function EditProductDialog({ item, open, onOpenChange, onComplete, duplicate = false }) {
+  const [source] = useState(() => (duplicate ? copyProduct(item) : item))
+  const [values, setValues] = useState({
+    name: source.name || '',
+    sku: source.sku || '',
+    status: source.status || 'Active'
+  })
+  const [saving, setSaving] = useState(false)
+
+  const updateField = (field) => (value) => {
+    setValues((current) => ({ ...current, [field]: value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    try {
+      setSaving(true)
+      const result = duplicate
+        ? await apiService.createProduct({ ...source, ...values })
+        : await apiService.updateProduct(item.id, values, { outbox: `Update ${item.name}` })
+      onComplete(result)
+    } catch (err) {
+      toast.error(duplicate ? 'Could not create the copy' : 'Could not save product', { description: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const submitLabel = duplicate ? 'Create copy' : 'Save changes'
+  const savingLabel = duplicate ? 'Creating...' : 'Saving...'
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>{duplicate ? 'Duplicate product' : 'Edit product'}</DialogTitle>
+            <DialogDescription>
+              {duplicate
+                ? `Creates a new product with the details of ${item.name}. Stock is not copied.`
+                : 'Changes are saved to the ERP backend.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-2">
+            <Label htmlFor="product-name">Name</Label>
+            <Input
+              id="product-name"
+              value={values.name}
+              onChange={(event) => updateField('name')(event.target.value)}
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="product-sku">SKU</Label>
+            <Input
+              id="product-sku"
+              value={values.sku}
+              onChange={(event) => updateField('sku')(event.target.value)}
+              className="font-mono"
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="product-status">Status</Label>
+            <Select value={values.status} onValueChange={updateField('status')}>
+              <SelectTrigger id="product-status" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="Active">Active</SelectItem>
+                <SelectItem value="Inactive">Inactive</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? savingLabel : submitLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export function DuplicateProductDialog(props) {
+  return <EditProductDialog {...props} duplicate />
+}
+
+export default EditProductDialog
@@ -0,0 +1,27 @@
+import { Badge } from '@/components/ui/badge.jsx'
+import { getExpiryStatus } from '@/lib/inventory.js'
+import { formatDate } from '@/lib/format.js'
+
+const EXPIRY_STYLES = {
+  expired: 'border-transparent bg-red-600 text-white',
+  expiring: 'border-transparent bg-amber-500 text-white',
+  ok: 'border-transparent bg-emerald-600 text-white'
+}
+
+// Expiry Badge Component
+// Expiry date colored red when past, amber when close, green otherwise
+function ExpiryBadge({ date }) {
+  const status = getExpiryStatus(date)
+
+  if (!status) {
+    return <span className="text-muted-foreground">{formatDate(date)}</span>
+  }
+
+  return (
+    <Badge className={EXPIRY_STYLES[status]}>
+      {status === 'expired' ? 'Expired ' : ''}{formatDate(date)}
+    </Badge>
+  )
+}
+
+export default ExpiryBadge
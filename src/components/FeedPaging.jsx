@@ -0,0 +1,97 @@
+import { useEffect, useRef } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious
+} from '@/components/ui/pagination.jsx'
+
+// Page numbers around the current one, with null where pages are skipped
+function getPageNumbers(page, totalPages) {
+  const pages = [...new Set([1, page - 1, page, page + 1, totalPages])]
+    .filter((number) => number >= 1 && number <= totalPages)
+    .sort((a, b) => a - b)
+  return pages.flatMap((number, index) => (index > 0 && number - pages[index - 1] > 1 ? [null, number] : [number]))
+}
+
+// Feed Pagination Component
+// Desktop page links; hrefForPage keeps them real links so they can be opened in a new tab
+export function FeedPagination({ pageInfo, hrefForPage, onPageChange }) {
+  const { page, totalPages, hasMore } = pageInfo
+  if (page === 1 && !hasMore) return null
+
+  const link = (number) => ({
+    href: hrefForPage(number),
+    onClick: (event) => {
+      event.preventDefault()
+      onPageChange(number)
+    }
+  })
+
+  return (
+    <Pagination className="mt-8">
+      <PaginationContent>
+        {page > 1 && (
+          <PaginationItem>
+            <PaginationPrevious {...link(page - 1)} />
+          </PaginationItem>
+        )}
+        {/* Cursor-only backends do not report a page count */}
+        {totalPages !== undefined && getPageNumbers(page, totalPages).map((number, index) => (
+          <PaginationItem key={number ?? `gap-${index}`}>
+            {number === null ? (
+              <PaginationEllipsis />
+            ) : (
+              <PaginationLink isActive={number === page} {...link(number)}>
+                {number}
+              </PaginationLink>
+            )}
+          </PaginationItem>
+        ))}
+        {hasMore && (
+          <PaginationItem>
+            <PaginationNext {...link(page + 1)} />
+          </PaginationItem>
+        )}
+      </PaginationContent>
+    </Pagination>
+  )
+}
+
+// Load More Trigger Component
+// Mobile infinite scroll: loads the next page as this comes into view, with a
+// button as fallback when loading failed
+export function LoadMoreTrigger({ hasMore, loading, error, onLoadMore }) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const node = ref.current
+    if (!node || !hasMore || loading || error) return
+
+    const observer = new IntersectionObserver(
+      ([entry]) => entry.isIntersecting && onLoadMore(),
+      { rootMargin: '400px 0px' }
+    )
+    observer.observe(node)
+    return () => observer.disconnect()
+  }, [hasMore, loading, error, onLoadMore])
+
+  if (!hasMore) return null
+
+  return (
+    <div ref={ref} className="py-8 text-center text-sm text-gray-600">
+      {error ? (
+        <div className="space-y-2">
+          <p className="text-red-600">{error.message}</p>
+          <Button variant="outline" onClick={onLoadMore}>Try again</Button>
+        </div>
+      ) : (
+        'Loading more…'
+      )}
+    </div>
+  )
+}
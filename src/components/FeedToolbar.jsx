@@ -0,0 +1,80 @@
+import { Search, X } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select.jsx'
+import { ALL, isFiltered } from '@/lib/feed-query.js'
+
+// Feed Toolbar Component
+// Search box, module filters and sort order for a feed; onChange receives
+// { q | <filter name> | sort: value } and the caller writes it to the URL.
+// count is the number of matching records, when the backend reports it
+function FeedToolbar({ moduleConfig, query, onChange, onClear, count }) {
+  const filters = moduleConfig.filters || []
+  const sorts = moduleConfig.sorts || []
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <Input
+            type="search"
+            value={query.q}
+            onChange={(event) => onChange({ q: event.target.value })}
+            placeholder={`Search ${moduleConfig.label.toLowerCase()}`}
+            aria-label={`Search ${moduleConfig.label.toLowerCase()}`}
+            className="bg-white pl-9"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-3 md:flex">
+          {filters.map((filter) => (
+            <Select
+              key={filter.name}
+              value={query.filters[filter.name] || ALL}
+              onValueChange={(value) => onChange({ [filter.name]: value })}
+            >
+              <SelectTrigger className="w-full bg-white md:w-44" aria-label={filter.label}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All {filter.label.toLowerCase()}</SelectItem>
+                {filter.options.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ))}
+          {sorts.length > 1 && (
+            <Select value={query.sort} onValueChange={(value) => onChange({ sort: value })}>
+              <SelectTrigger className="w-full bg-white md:w-56" aria-label="Sort by">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {sorts.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </div>
+      {isFiltered(query) && (
+        <div className="flex items-center justify-between gap-4 text-sm text-gray-600">
+          <span>{count === undefined ? 'Filtered' : `${count.toLocaleString()} match${count === 1 ? '' : 'es'}`}</span>
+          <Button variant="ghost" size="sm" onClick={onClear}>
+            <X className="h-4 w-4" />
+            Clear filters
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FeedToolbar
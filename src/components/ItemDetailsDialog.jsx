@@ -0,0 +1,35 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx'
+import { formatFieldLabel, formatFieldValue } from '@/lib/format.js'
+
+// Item Details Dialog Component
+// Generic read-only view of every field on a card's record
+function ItemDetailsDialog({ item, open, onOpenChange }) {
+  const title = item.name || item.companyName || item.quoteNumber || 'Details'
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>Full record from the ERP backend</DialogDescription>
+        </DialogHeader>
+        <dl className="grid grid-cols-1 gap-3 text-sm">
+          {Object.entries(item).map(([key, value]) => (
+            <div key={key} className="flex justify-between gap-4 border-b pb-2">
+              <dt className="text-muted-foreground">{formatFieldLabel(key)}</dt>
+              <dd className="text-right break-all">{formatFieldValue(value)}</dd>
+            </div>
+          ))}
+        </dl>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default ItemDetailsDialog
@@ -0,0 +1,107 @@
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from '@/components/ui/form.jsx'
+import { useSession } from '@/hooks/use-session.js'
+import apiService from '@/lib/api.js'
+import { UnauthorizedError } from '@/lib/api-errors.js'
+import { loginSchema } from '@/lib/auth.js'
+import { getActiveEnvironment, getEnvironments } from '@/lib/config.js'
+
+// Login Screen Component
+// Sign-in form at /login; returns to the page that required the session
+function LoginScreen() {
+  const session = useSession()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const from = location.state?.from
+  // Without one, HomeRedirect picks the first screen the role can see
+  const destination = from ? `${from.pathname}${from.search || ''}` : '/'
+
+  const form = useForm({
+    resolver: zodResolver(loginSchema),
+    defaultValues: { email: '', password: '' }
+  })
+
+  const onSubmit = async (values) => {
+    try {
+      await apiService.login(values)
+      navigate(destination, { replace: true })
+    } catch (err) {
+      form.setError('root.server', {
+        type: 'server',
+        message: err instanceof UnauthorizedError ? 'Incorrect email or password.' : err.message
+      })
+    }
+  }
+
+  if (session) {
+    return <Navigate to={destination} replace />
+  }
+
+  const { errors, isSubmitting } = form.formState
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+      <Card className="w-full max-w-sm">
+        <CardHeader>
+          <CardTitle className="text-2xl">Visual ERP</CardTitle>
+          <CardDescription>
+            Sign in with your ERP account
+            {getEnvironments().length > 1 && ` (${getActiveEnvironment().label})`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+              <FormField
+                control={form.control}
+                name="email"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Email</FormLabel>
+                    <FormControl>
+                      <Input type="email" autoComplete="username" inputMode="email" autoFocus {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="password"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Password</FormLabel>
+                    <FormControl>
+                      <Input type="password" autoComplete="current-password" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {errors.root?.server && (
+                <p className="text-destructive text-sm">{errors.root.server.message}</p>
+              )}
+              <Button type="submit" className="w-full bg-blue-600 hover:bg-blue-700" disabled={isSubmitting}>
+                {isSubmitting ? 'Signing in...' : 'Sign in'}
+              </Button>
+            </form>
+          </Form>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default LoginScreen
@@ -0,0 +1,116 @@
+import { useEffect } from 'react'
+import { CloudUpload, RefreshCw, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import { useOutbox } from '@/hooks/use-outbox.js'
+import { useSession } from '@/hooks/use-session.js'
+import apiService from '@/lib/api.js'
+import { getErrorTitle } from '@/lib/api-errors.js'
+import { getSessionUserId } from '@/lib/auth.js'
+import { isOwnEntry, loadOutbox, removeOutboxEntry, updateOutboxEntry } from '@/lib/outbox.js'
+
+// Runs from effects and event listeners, so failures (IndexedDB) are logged here
+async function replay() {
+  if (navigator.onLine === false) return
+  let result
+  try {
+    result = await apiService.replayOutbox()
+  } catch (error) {
+    console.error('Could not sync offline changes:', error)
+    return
+  }
+  const { sent, failed } = result
+  if (sent > 0) {
+    toast.success(`Synced ${sent} offline change${sent === 1 ? '' : 's'}`)
+  }
+  if (failed > 0) {
+    toast.error(`${failed} offline change${failed === 1 ? '' : 's'} could not be synced`, {
+      description: 'Open the outbox in the header to review them.'
+    })
+  }
+}
+
+// Outbox Status Component
+// Header button for writes queued offline: count, conflicts and manual sync.
+// Replays the outbox on sign-in and whenever the device comes back online.
+function OutboxStatus() {
+  const outbox = useOutbox()
+  const userId = getSessionUserId(useSession())
+  const entries = outbox.filter((entry) => isOwnEntry(entry, userId, apiService.baseURL))
+  const failed = entries.filter((entry) => entry.status === 'failed')
+
+  useEffect(() => {
+    loadOutbox()
+      .then(replay)
+      .catch((error) => console.error('Could not load offline changes:', error))
+    window.addEventListener('online', replay)
+    return () => window.removeEventListener('online', replay)
+  }, [])
+
+  if (entries.length === 0) return null
+
+  const handleDiscard = (entry) => {
+    removeOutboxEntry(entry.id).catch((error) => console.error('Could not discard offline change:', error))
+  }
+
+  const handleRetry = async (entry) => {
+    await updateOutboxEntry(entry.id, { status: 'pending', error: undefined })
+      .catch((error) => console.error('Could not update offline change:', error))
+    replay()
+  }
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" aria-label={`${entries.length} offline changes`}>
+          <CloudUpload className="h-4 w-4" />
+          <Badge variant={failed.length > 0 ? 'destructive' : 'secondary'}>{entries.length}</Badge>
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 space-y-3 text-sm">
+        <div>
+          <p className="font-semibold">Offline changes</p>
+          <p className="text-gray-600 text-xs">
+            Saved on this device and sent in order when the ERP backend is reachable.
+          </p>
+        </div>
+        <ul className="divide-y max-h-72 overflow-y-auto">
+          {entries.map((entry) => (
+            <li key={entry.id} className="py-2 space-y-1">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium truncate">{entry.label}</span>
+                <Badge variant={entry.status === 'failed' ? 'destructive' : 'outline'}>
+                  {entry.status === 'failed' ? getErrorTitle(entry.error) : 'Pending'}
+                </Badge>
+              </div>
+              <p className="text-gray-500 text-xs">Saved {new Date(entry.createdAt).toLocaleString()}</p>
+              {entry.status === 'failed' && (
+                <>
+                  <p className="text-red-600 text-xs">{entry.error?.message}</p>
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={() => handleRetry(entry)}>
+                      <RefreshCw className="h-3 w-3" />
+                      Retry
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => handleDiscard(entry)}>
+                      <Trash2 className="h-3 w-3" />
+                      Discard
+                    </Button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        <Button variant="outline" size="sm" className="w-full" onClick={replay}>
+          <RefreshCw className="h-4 w-4" />
+          Sync now
+        </Button>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+export default OutboxStatus
@@ -0,0 +1,207 @@
+import { useCallback } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { ArrowLeft, Share2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table.jsx'
+import { LoadingScreen, ErrorScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import ExpiryBadge from '@/components/ExpiryBadge.jsx'
+import { useBackNavigation } from '@/hooks/use-back-navigation.js'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import apiService from '@/lib/api.js'
+import { formatDate, formatFieldLabel, formatFieldValue } from '@/lib/format.js'
+import { attachLots } from '@/lib/inventory.js'
+import { canViewModule } from '@/lib/permissions.js'
+
+// Product Detail Component
+// Deep-linkable view of a single SKU at /visual/inventory/:id
+function ProductDetail() {
+  const { id } = useParams()
+  const handleBack = useBackNavigation('/visual/inventory')
+  const permissions = usePermissions()
+  // Batch and lot sections need the batches module; skip their requests otherwise
+  const showBatches = canViewModule(permissions, 'batches')
+
+  const loadProduct = useCallback(async (options) => {
+    const empty = { data: [] }
+    const [{ data: product }, { data: allBatches }, { data: allLots }] = await Promise.all([
+      apiService.getProduct(id, options),
+      showBatches ? apiService.getBatches({ ...options, params: { productId: id } }) : empty,
+      showBatches ? apiService.getLots({ ...options, params: { productId: id } }) : empty
+    ])
+
+    // Also filtered here for backends that ignore productId
+    const belongsToProduct = (record) => String(record.productId) === String(id)
+    return {
+      product,
+      batches: attachLots(allBatches, allLots).filter(belongsToProduct),
+      lots: allLots.filter(belongsToProduct)
+    }
+  }, [id, showBatches])
+
+  const { data, loading, error, refreshing, refetch: fetchProduct } = useCachedQuery(loadProduct)
+  const { product, batches, lots } = data || {}
+
+  const handleShare = async () => {
+    const url = window.location.href
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: product.name, text: `SKU ${product.sku}`, url })
+      } else {
+        await navigator.clipboard.writeText(url)
+        toast.success('Link copied to clipboard')
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        toast.error('Could not share link', { description: err.message })
+      }
+    }
+  }
+
+  if (loading) {
+    return <LoadingScreen label="product" />
+  }
+
+  if (!data) {
+    return <ErrorScreen error={error} onRetry={fetchProduct} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" onClick={handleBack}>
+            <ArrowLeft className="h-4 w-4" />
+            Inventory
+          </Button>
+          <Button variant="outline" onClick={handleShare}>
+            <Share2 className="h-4 w-4" />
+            Share
+          </Button>
+        </div>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchProduct} />
+
+        <Card className="bg-gradient-to-br from-slate-800 to-slate-900 border-slate-700">
+          <CardContent className="p-6 space-y-4">
+            <div>
+              <h1 className="text-2xl font-bold text-white mb-2">{product.name}</h1>
+              <Badge variant={product.status === 'Active' ? 'default' : 'secondary'}>
+                {product.status}
+              </Badge>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-gray-300 text-sm">STOCK ON HAND</p>
+                <p className="text-3xl font-bold text-white">{product.stockOnHand || 0}</p>
+              </div>
+              <div className="text-right">
+                <p className="text-gray-300 text-sm">SKU</p>
+                <p className="text-white font-mono">{product.sku}</p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {showBatches && (
+          <>
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between">
+                <CardTitle>Batches ({batches.length})</CardTitle>
+                <Button variant="link" asChild>
+                  <Link to={`/visual/batches?productId=${id}`}>Open in batches</Link>
+                </Button>
+              </CardHeader>
+              <CardContent>
+                {batches.length === 0 ? (
+                  <p className="text-gray-600 text-sm">No batches recorded for this product.</p>
+                ) : (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Batch</TableHead>
+                        <TableHead>Lot</TableHead>
+                        <TableHead className="text-right">Quantity</TableHead>
+                        <TableHead>Received</TableHead>
+                        <TableHead>Expires</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {batches.map((batch, index) => (
+                        <TableRow key={batch.id || index}>
+                          <TableCell className="font-mono">{batch.batchNumber}</TableCell>
+                          <TableCell className="font-mono">{batch.lotNumber || '—'}</TableCell>
+                          <TableCell className="text-right">{batch.quantity ?? 0}</TableCell>
+                          <TableCell>{formatDate(batch.receivedDate)}</TableCell>
+                          <TableCell><ExpiryBadge date={batch.expiryDate} /></TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Lots ({lots.length})</CardTitle>
+              </CardHeader>
+              <CardContent>
+                {lots.length === 0 ? (
+                  <p className="text-gray-600 text-sm">No lots recorded for this product.</p>
+                ) : (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Lot</TableHead>
+                        <TableHead className="text-right">Quantity</TableHead>
+                        <TableHead>Expires</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {lots.map((lot, index) => (
+                        <TableRow key={lot.id || index}>
+                          <TableCell className="font-mono">{lot.lotNumber}</TableCell>
+                          <TableCell className="text-right">{lot.quantity ?? 0}</TableCell>
+                          <TableCell><ExpiryBadge date={lot.expiryDate} /></TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Product record</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <dl className="grid grid-cols-1 gap-3 text-sm">
+              {Object.entries(product).map(([key, value]) => (
+                <div key={key} className="flex justify-between gap-4 border-b pb-2">
+                  <dt className="text-muted-foreground">{formatFieldLabel(key)}</dt>
+                  <dd className="text-right break-all">{formatFieldValue(value)}</dd>
+                </div>
+              ))}
+            </dl>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default ProductDetail
@@ -0,0 +1,362 @@
+import { useCallback, useState } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import { useForm, useFieldArray, useWatch } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { ArrowLeft, Plus, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Textarea } from '@/components/ui/textarea.jsx'
+import { Progress } from '@/components/ui/progress.jsx'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card.jsx'
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from '@/components/ui/form.jsx'
+import { LoadingScreen, ErrorScreen } from '@/components/ScreenState.jsx'
+import SearchPicker from '@/components/SearchPicker.jsx'
+import { useBackNavigation } from '@/hooks/use-back-navigation.js'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import apiService, { createIdempotencyKey } from '@/lib/api.js'
+import { formatCurrency } from '@/lib/format.js'
+import { quoteSchema, calculateQuoteTotals, applyServerErrors } from '@/lib/quotes.js'
+
+const STEPS = [
+  { title: 'Customer', description: 'Who is this quote for?', fields: ['customerId'] },
+  { title: 'Lines', description: 'Add products, quantities and prices.', fields: ['lines'] },
+  { title: 'Review', description: 'Check totals and submit.', fields: ['expiryDate', 'notes'] }
+]
+
+const EMPTY_LINE = { productId: '', quantity: 1, unitPrice: 0 }
+
+// Customers and products are searched on the backend rather than listed whole
+const searchCustomers = async (search, options) => (await apiService.searchCustomers(search, options)).data
+
+const searchActiveProducts = async (search, options) => {
+  const { data: products } = await apiService.searchProducts(search, options)
+  return products.filter((product) => product.status !== 'Inactive')
+}
+
+// Finds the wizard step that owns a (possibly nested) field name
+function stepForField(field) {
+  const root = field.split('.')[0]
+  const index = STEPS.findIndex((step) => step.fields.includes(root))
+  return index === -1 ? STEPS.length - 1 : index
+}
+
+// Quote Wizard Component
+// Multi-step quote builder at /visual/quotes/new
+function QuoteWizard() {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const handleBack = useBackNavigation('/visual/quotes')
+  const [step, setStep] = useState(0)
+  // Kept across retries after connection failures and timeouts, so a retried
+  // submit cannot create a second quote; replaced once the backend rejects one
+  const [idempotencyKey, setIdempotencyKey] = useState(createIdempotencyKey)
+  // Records picked so far, for names on the review step and price pre-fill
+  const [pickedCustomer, setPickedCustomer] = useState(null)
+  const [pickedProducts, setPickedProducts] = useState({})
+
+  // ?customerId= preselects a customer, loaded by id
+  const presetCustomerId = searchParams.get('customerId')
+  const loadPresetCustomer = useCallback(async (options) => (
+    presetCustomerId ? (await apiService.getCustomer(presetCustomerId, options)).data : null
+  ), [presetCustomerId])
+  const { data: presetCustomer, loading, error, refetch: fetchPresetCustomer } = useCachedQuery(loadPresetCustomer)
+
+  const form = useForm({
+    resolver: zodResolver(quoteSchema),
+    defaultValues: {
+      customerId: presetCustomerId || '',
+      lines: [EMPTY_LINE],
+      expiryDate: '',
+      notes: ''
+    }
+  })
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: 'lines' })
+  const lines = useWatch({ control: form.control, name: 'lines' })
+  const customerId = useWatch({ control: form.control, name: 'customerId' })
+  const customer = [pickedCustomer, presetCustomer].find((candidate) => candidate && String(candidate.id) === customerId)
+
+  const handleNext = async () => {
+    const valid = await form.trigger(STEPS[step].fields)
+    if (valid) {
+      setStep((current) => current + 1)
+    }
+  }
+
+  const handleCustomerChange = (picked, onChange) => {
+    setPickedCustomer(picked)
+    onChange(String(picked.id))
+  }
+
+  // Pre-fill the unit price from the product record when one is picked
+  const handleProductChange = (index, product, onChange) => {
+    setPickedProducts((current) => ({ ...current, [product.id]: product }))
+    onChange(String(product.id))
+    if (product.price !== undefined) {
+      form.setValue(`lines.${index}.unitPrice`, product.price)
+    }
+  }
+
+  const onSubmit = async (values) => {
+    try {
+      const { total } = calculateQuoteTotals(values.lines)
+      const customerName = customer?.companyName
+      const { queued } = await apiService.createQuote(
+        { ...values, status: 'Draft', total },
+        { idempotencyKey, outbox: `New quote for ${customerName || 'customer'}` }
+      )
+      if (queued) {
+        toast.info('Quote saved offline', { description: 'It will be created when you are back online.' })
+      } else {
+        toast.success('Quote created')
+      }
+      navigate('/visual/quotes')
+    } catch (err) {
+      // A rejected body (4xx) is final for its key: the corrected submit is a new request
+      if (err.status >= 400 && err.status < 500) {
+        setIdempotencyKey(createIdempotencyKey())
+      }
+      const fieldsWithErrors = applyServerErrors(form, err)
+      if (fieldsWithErrors.length > 0) {
+        setStep(Math.min(...fieldsWithErrors.map(stepForField)))
+      }
+    }
+  }
+
+  const onInvalid = (fieldErrors) => {
+    setStep(Math.min(...Object.keys(fieldErrors).map(stepForField)))
+  }
+
+  // Enter on an earlier step advances the wizard instead of submitting
+  const handleFormSubmit = (event) => {
+    if (step < STEPS.length - 1) {
+      event.preventDefault()
+      handleNext()
+      return
+    }
+    form.handleSubmit(onSubmit, onInvalid)(event)
+  }
+
+  if (loading) {
+    return <LoadingScreen label="quote builder" />
+  }
+
+  if (presetCustomer === undefined) {
+    return <ErrorScreen error={error} onRetry={fetchPresetCustomer} />
+  }
+
+  const { total } = calculateQuoteTotals(lines)
+  const productName = (id) => pickedProducts[id]?.name || 'Unknown product'
+  const { errors, isSubmitting } = form.formState
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <Button variant="ghost" onClick={handleBack}>
+          <ArrowLeft className="h-4 w-4" />
+          Quotes
+        </Button>
+
+        <div className="space-y-2">
+          <h1 className="text-3xl font-bold text-gray-900">New quote</h1>
+          <p className="text-gray-600 text-sm">
+            Step {step + 1} of {STEPS.length}: {STEPS[step].title}
+          </p>
+          <Progress value={((step + 1) / STEPS.length) * 100} />
+        </div>
+
+        <Form {...form}>
+          <form onSubmit={handleFormSubmit}>
+            <Card>
+              <CardHeader>
+                <CardTitle>{STEPS[step].title}</CardTitle>
+                <CardDescription>{STEPS[step].description}</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {step === 0 && (
+                  <FormField
+                    control={form.control}
+                    name="customerId"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Customer</FormLabel>
+                        <FormControl>
+                          <SearchPicker
+                            selected={customer}
+                            onSelect={(picked) => handleCustomerChange(picked, field.onChange)}
+                            search={searchCustomers}
+                            getLabel={(option) => option.companyName}
+                            getDetail={(option) => option.contactName}
+                            placeholder="Choose a customer"
+                            searchPlaceholder="Search customers…"
+                          />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                )}
+
+                {step === 1 && (
+                  <>
+                    {fields.map((line, index) => (
+                      <div key={line.id} className="rounded-lg border p-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <p className="font-medium">Line {index + 1}</p>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => remove(index)}
+                            disabled={fields.length === 1}
+                            aria-label={`Remove line ${index + 1}`}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                        <FormField
+                          control={form.control}
+                          name={`lines.${index}.productId`}
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Product</FormLabel>
+                              <FormControl>
+                                <SearchPicker
+                                  selected={pickedProducts[field.value]}
+                                  onSelect={(product) => handleProductChange(index, product, field.onChange)}
+                                  search={searchActiveProducts}
+                                  getLabel={(product) => `${product.name} (${product.sku})`}
+                                  placeholder="Choose a product"
+                                  searchPlaceholder="Search by name or SKU…"
+                                />
+                              </FormControl>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
+                        <div className="grid grid-cols-2 gap-3">
+                          <FormField
+                            control={form.control}
+                            name={`lines.${index}.quantity`}
+                            render={({ field }) => (
+                              <FormItem>
+                                <FormLabel>Quantity</FormLabel>
+                                <FormControl>
+                                  <Input type="number" inputMode="numeric" min="1" step="1" {...field} />
+                                </FormControl>
+                                <FormMessage />
+                              </FormItem>
+                            )}
+                          />
+                          <FormField
+                            control={form.control}
+                            name={`lines.${index}.unitPrice`}
+                            render={({ field }) => (
+                              <FormItem>
+                                <FormLabel>Unit price</FormLabel>
+                                <FormControl>
+                                  <Input type="number" inputMode="decimal" min="0" step="0.01" {...field} />
+                                </FormControl>
+                                <FormMessage />
+                              </FormItem>
+                            )}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                    {errors.lines?.root?.message && (
+                      <p className="text-destructive text-sm">{errors.lines.root.message}</p>
+                    )}
+                    <Button type="button" variant="outline" className="w-full" onClick={() => append(EMPTY_LINE)}>
+                      <Plus className="h-4 w-4" />
+                      Add line
+                    </Button>
+                  </>
+                )}
+
+                {step === 2 && (
+                  <>
+                    <div className="space-y-1">
+                      <p className="text-gray-600 text-sm">Customer</p>
+                      <p className="font-medium">{customer?.companyName}</p>
+                    </div>
+                    <ul className="divide-y text-sm">
+                      {lines.map((line, index) => (
+                        <li key={fields[index]?.id || index} className="flex justify-between py-2">
+                          <span>{Number(line.quantity) || 0} × {productName(line.productId)}</span>
+                          <span>{formatCurrency((Number(line.quantity) || 0) * (Number(line.unitPrice) || 0))}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="flex justify-between border-t pt-3">
+                      <span className="font-semibold">Total</span>
+                      <span className="text-2xl font-bold">{formatCurrency(total)}</span>
+                    </div>
+                    <FormField
+                      control={form.control}
+                      name="expiryDate"
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel>Expires on</FormLabel>
+                          <FormControl>
+                            <Input type="date" {...field} />
+                          </FormControl>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <FormField
+                      control={form.control}
+                      name="notes"
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel>Notes</FormLabel>
+                          <FormControl>
+                            <Textarea rows={3} {...field} />
+                          </FormControl>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    {errors.root?.server && (
+                      <p className="text-destructive text-sm">{errors.root.server.message}</p>
+                    )}
+                  </>
+                )}
+              </CardContent>
+            </Card>
+
+            <div className="flex justify-between mt-6">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setStep((current) => current - 1)}
+                disabled={step === 0}
+              >
+                Back
+              </Button>
+              {step < STEPS.length - 1 ? (
+                <Button type="button" onClick={handleNext}>
+                  Next
+                </Button>
+              ) : (
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting ? 'Submitting...' : 'Create quote'}
+                </Button>
+              )}
+            </div>
+          </form>
+        </Form>
+      </div>
+    </div>
+  )
+}
+
+export default QuoteWizard
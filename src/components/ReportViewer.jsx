@@ -0,0 +1,358 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts'
+import { format, parseISO } from 'date-fns'
+import { ArrowLeft, CalendarIcon, Play } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Calendar } from '@/components/ui/calendar.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select.jsx'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table.jsx'
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  ChartLegend,
+  ChartLegendContent
+} from '@/components/ui/chart.jsx'
+import { LoadingScreen, ErrorScreen, NotFoundScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import { useBackNavigation } from '@/hooks/use-back-navigation.js'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import apiService from '@/lib/api.js'
+import { formatCurrency, formatCompactCurrency, formatDate, formatPercent } from '@/lib/format.js'
+
+const CHART_COLORS = ['var(--chart-1)', 'var(--chart-2)', 'var(--chart-3)', 'var(--chart-4)', 'var(--chart-5)']
+
+const ISO_DAY = 'yyyy-MM-dd'
+
+function formatCell(value, columnFormat) {
+  switch (columnFormat) {
+    case 'currency':
+      return formatCurrency(value)
+    case 'date':
+      return formatDate(value)
+    case 'percent':
+      return formatPercent(value)
+    case 'number':
+      return Number(value ?? 0).toLocaleString()
+    default:
+      return value ?? '—'
+  }
+}
+
+// Date Range Field Component
+// Stores the range as `<name>From` / `<name>To` ISO days in the report
+// parameters, so a report can take more than one range
+function DateRangeField({ name, label, values, onChange }) {
+  const from = values[`${name}From`]
+  const to = values[`${name}To`]
+  const selected = {
+    from: from ? parseISO(from) : undefined,
+    to: to ? parseISO(to) : undefined
+  }
+
+  const handleSelect = (range) => {
+    onChange({
+      [`${name}From`]: range?.from ? format(range.from, ISO_DAY) : '',
+      [`${name}To`]: range?.to ? format(range.to, ISO_DAY) : ''
+    })
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label>{label}</Label>
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button variant="outline" className="w-full justify-start font-normal">
+            <CalendarIcon className="h-4 w-4" />
+            {from ? `${formatDate(from)} – ${to ? formatDate(to) : '…'}` : 'Pick a date range'}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-auto p-0" align="start">
+          <Calendar
+            mode="range"
+            selected={selected}
+            onSelect={handleSelect}
+            defaultMonth={selected.from}
+            initialFocus
+          />
+        </PopoverContent>
+      </Popover>
+    </div>
+  )
+}
+
+// Report Table Component
+function ReportTable({ columns, rows }) {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          {columns.map((column) => (
+            <TableHead
+              key={column.key}
+              className={column.format === 'currency' || column.format === 'number' ? 'text-right' : ''}
+            >
+              {column.label}
+            </TableHead>
+          ))}
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {rows.map((row, index) => (
+          <TableRow key={row.id || index}>
+            {columns.map((column) => (
+              <TableCell
+                key={column.key}
+                className={column.format === 'currency' || column.format === 'number' ? 'text-right' : ''}
+              >
+                {formatCell(row[column.key], column.format)}
+              </TableCell>
+            ))}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  )
+}
+
+// Report Chart Component
+// Bar or line chart described by the report's `chart` metadata
+function ReportChart({ chart, rows }) {
+  const series = chart.series || []
+  const config = Object.fromEntries(
+    series.map((entry, index) => [entry.key, { label: entry.label, color: CHART_COLORS[index % CHART_COLORS.length] }])
+  )
+  const ChartType = chart.type === 'line' ? LineChart : BarChart
+  const tickFormatter = chart.format === 'currency' ? formatCompactCurrency : undefined
+
+  return (
+    <ChartContainer config={config} className="max-h-[360px] w-full">
+      <ChartType data={rows} margin={{ left: 12, right: 12 }}>
+        <CartesianGrid vertical={false} />
+        <XAxis dataKey={chart.xKey} tickLine={false} axisLine={false} tickMargin={8} />
+        <YAxis tickLine={false} axisLine={false} tickFormatter={tickFormatter} width={56} />
+        <ChartTooltip content={<ChartTooltipContent />} />
+        <ChartLegend content={<ChartLegendContent />} />
+        {series.map((entry) =>
+          chart.type === 'line' ? (
+            <Line key={entry.key} dataKey={entry.key} type="monotone" stroke={`var(--color-${entry.key})`} strokeWidth={2} dot={false} />
+          ) : (
+            <Bar key={entry.key} dataKey={entry.key} fill={`var(--color-${entry.key})`} radius={4} />
+          )
+        )}
+      </ChartType>
+    </ChartContainer>
+  )
+}
+
+// Report Viewer Component
+// Parameter form and results for /visual/reports/:id; parameters live in the URL
+function ReportViewer() {
+  const { id } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const handleBack = useBackNavigation('/visual/reports')
+  const [values, setValues] = useState(() => Object.fromEntries(searchParams))
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [runError, setRunError] = useState(null)
+  const runRef = useRef(null)
+
+  // Resolves to null (not undefined) for unknown ids so the not-found screen shows
+  const loadReport = useCallback(async (options) => {
+    const { data: reports } = await apiService.getReports(options)
+    return reports.find((candidate) => String(candidate.id) === String(id)) || null
+  }, [id])
+
+  const { data: report, loading, error, refreshing, refetch: fetchReport } = useCachedQuery(loadReport)
+
+  // Runs whenever the URL parameters change, so shared links open with results
+  const query = searchParams.toString()
+  const parameterCount = report ? (report.parameters || []).length : null
+  // A new run cancels the previous one, so a slow earlier run cannot overwrite its result
+  const runReport = useCallback(async () => {
+    runRef.current?.abort()
+    const controller = new AbortController()
+    runRef.current = controller
+    const { signal } = controller
+    const params = Object.fromEntries(new URLSearchParams(query))
+    try {
+      // Show the last result for these parameters while the report re-runs
+      const { data } = await apiService.runReport(id, params, { cache: 'only', signal })
+      if (!signal.aborted) setResult(data)
+    } catch {
+      // Not run with these parameters yet
+    }
+    if (signal.aborted) return
+
+    try {
+      setRunning(true)
+      setRunError(null)
+      const { data } = await apiService.runReport(id, params, { signal })
+      if (!signal.aborted) setResult(data)
+    } catch (err) {
+      if (signal.aborted) return
+      setRunError(err)
+      setResult(null)
+    } finally {
+      if (!signal.aborted) setRunning(false)
+    }
+  }, [id, query])
+
+  useEffect(() => {
+    if (parameterCount === null) return
+    if (query || parameterCount === 0) {
+      runReport()
+    }
+    return () => runRef.current?.abort()
+  }, [parameterCount, query, runReport])
+
+  const updateValues = (changes) => {
+    setValues((current) => ({ ...current, ...changes }))
+  }
+
+  const handleRun = (event) => {
+    event.preventDefault()
+    setSearchParams(
+      Object.fromEntries(Object.entries(values).filter(([, value]) => value !== '' && value !== undefined))
+    )
+  }
+
+  if (loading) {
+    return <LoadingScreen label="report" />
+  }
+
+  if (report === undefined) {
+    return <ErrorScreen error={error} onRetry={fetchReport} />
+  }
+
+  if (!report) {
+    return <NotFoundScreen title="Report not found" message="This report is not available from the backend." />
+  }
+
+  const rows = result?.rows || []
+  const columns = result?.columns || report.columns || []
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <Button variant="ghost" onClick={handleBack}>
+          <ArrowLeft className="h-4 w-4" />
+          Reports
+        </Button>
+
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{report.name}</h1>
+          {report.description && <p className="text-gray-600">{report.description}</p>}
+        </div>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchReport} />
+
+        {report.parameters?.length > 0 && (
+          <Card>
+            <CardContent className="p-4">
+              <form onSubmit={handleRun} className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+                {report.parameters.map((parameter) => {
+                  if (parameter.type === 'dateRange') {
+                    return (
+                      <DateRangeField
+                        key={parameter.name}
+                        name={parameter.name}
+                        label={parameter.label}
+                        values={values}
+                        onChange={updateValues}
+                      />
+                    )
+                  }
+
+                  if (parameter.type === 'select') {
+                    return (
+                      <div key={parameter.name} className="space-y-2">
+                        <Label htmlFor={`param-${parameter.name}`}>{parameter.label}</Label>
+                        <Select
+                          value={values[parameter.name] || ''}
+                          onValueChange={(value) => updateValues({ [parameter.name]: value })}
+                        >
+                          <SelectTrigger id={`param-${parameter.name}`} className="w-full">
+                            <SelectValue placeholder={`Any ${parameter.label.toLowerCase()}`} />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {(parameter.options || []).map((option) => (
+                              <SelectItem key={option.value} value={String(option.value)}>
+                                {option.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    )
+                  }
+
+                  return (
+                    <div key={parameter.name} className="space-y-2">
+                      <Label htmlFor={`param-${parameter.name}`}>{parameter.label}</Label>
+                      <Input
+                        id={`param-${parameter.name}`}
+                        value={values[parameter.name] || ''}
+                        onChange={(event) => updateValues({ [parameter.name]: event.target.value })}
+                      />
+                    </div>
+                  )
+                })}
+                <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={running}>
+                  <Play className="h-4 w-4" />
+                  {running ? 'Running...' : 'Run report'}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+        )}
+
+        {runError && (
+          <Card className="border-red-200">
+            <CardContent className="p-4 flex items-center justify-between gap-4">
+              <p className="text-red-600 text-sm">{runError.message}</p>
+              <Button variant="outline" onClick={runReport}>Retry</Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {result && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Results</CardTitle>
+              <CardDescription>{rows.length} row{rows.length === 1 ? '' : 's'}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {rows.length === 0 ? (
+                <p className="text-gray-600 text-sm">No data for these parameters.</p>
+              ) : report.display === 'chart' && report.chart ? (
+                <ReportChart chart={report.chart} rows={rows} />
+              ) : (
+                <ReportTable columns={columns} rows={rows} />
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReportViewer
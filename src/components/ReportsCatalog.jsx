@@ -0,0 +1,65 @@
+import { Link } from 'react-router-dom'
+import { BarChart3, ChevronRight, Table2 } from 'lucide-react'
+import { Card, CardContent } from '@/components/ui/card.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { LoadingScreen, ErrorScreen, StaleDataNotice } from '@/components/ScreenState.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import apiService from '@/lib/api.js'
+
+const loadReports = async (options) => (await apiService.getReports(options)).data
+
+// Reports Catalog Component
+// Lists the reports the backend offers at /visual/reports
+function ReportsCatalog() {
+  const { data: reports, loading, error, refreshing, refetch: fetchReports } = useCachedQuery(loadReports)
+
+  if (loading) {
+    return <LoadingScreen label="reports" />
+  }
+
+  if (!reports) {
+    return <ErrorScreen error={error} onRetry={fetchReports} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Reports</h1>
+          <p className="text-gray-600">Run ERP reports straight from your phone</p>
+        </div>
+
+        <StaleDataNotice refreshing={refreshing} error={error} onRetry={fetchReports} />
+
+        {reports.length === 0 ? (
+          <p className="text-gray-600">No reports are available.</p>
+        ) : (
+          <div className="space-y-3">
+            {reports.map((report) => {
+              const Icon = report.display === 'chart' ? BarChart3 : Table2
+              return (
+                <Link key={report.id} to={`/visual/reports/${report.id}`} className="block">
+                  <Card className="hover:border-blue-600 transition-colors">
+                    <CardContent className="p-4 flex items-center gap-4">
+                      <Icon className="h-6 w-6 text-blue-600 shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-gray-900">{report.name}</p>
+                        {report.description && (
+                          <p className="text-gray-600 text-sm">{report.description}</p>
+                        )}
+                      </div>
+                      {report.category && <Badge variant="secondary">{report.category}</Badge>}
+                      <ChevronRight className="h-5 w-5 text-gray-400 shrink-0" />
+                    </CardContent>
+                  </Card>
+                </Link>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReportsCatalog
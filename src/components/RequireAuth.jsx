@@ -0,0 +1,62 @@
+import { useEffect } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { LoadingScreen, ErrorScreen } from '@/components/ScreenState.jsx'
+import AppShell from '@/components/AppShell.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { useCompanyId } from '@/hooks/use-company.js'
+import { PermissionsContext } from '@/hooks/use-permissions.js'
+import { useSession } from '@/hooks/use-session.js'
+import apiService from '@/lib/api.js'
+import { resolveCompany, setCompanyId } from '@/lib/company.js'
+
+const loadWorkspace = async (options) => {
+  const [{ data: permissions }, { data: companies }] = await Promise.all([
+    apiService.getPermissions(options),
+    apiService.getCompanies(options)
+  ])
+  return { permissions, companies }
+}
+
+// Signed-in part of the route table: loads the user's permissions and
+// companies, and picks a company, before rendering any screen that depends on them
+function SignedIn() {
+  const { data: workspace, loading, error, refetch } = useCachedQuery(loadWorkspace)
+  const companyId = useCompanyId()
+  const company = workspace && resolveCompany(workspace.companies, companyId)
+  const needsCompany = !!company && String(company.id) !== companyId
+
+  // Stored company is missing or no longer accessible: fall back to the default
+  useEffect(() => {
+    if (needsCompany) setCompanyId(company.id)
+  }, [needsCompany, company])
+
+  if (loading || needsCompany) {
+    return <LoadingScreen label="your workspace" />
+  }
+
+  if (!workspace) {
+    return <ErrorScreen error={error} onRetry={refetch} />
+  }
+
+  // The shell and its screens remount per company so everything reloads in the new company's scope
+  return (
+    <PermissionsContext.Provider value={workspace.permissions}>
+      <AppShell key={companyId} companies={workspace.companies} />
+    </PermissionsContext.Provider>
+  )
+}
+
+// Require Auth Component
+// Layout route that sends signed-out users to /login and back afterwards
+function RequireAuth() {
+  const session = useSession()
+  const location = useLocation()
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location }} />
+  }
+
+  return <SignedIn />
+}
+
+export default RequireAuth
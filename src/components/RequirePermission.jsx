@@ -0,0 +1,18 @@
+import { Outlet } from 'react-router-dom'
+import { NotAuthorizedScreen } from '@/components/ScreenState.jsx'
+import { usePermissions } from '@/hooks/use-permissions.js'
+import { hasPermission } from '@/lib/permissions.js'
+
+// Require Permission Component
+// Layout route that renders its child routes only when the user's role grants the permission
+function RequirePermission({ permission }) {
+  const permissions = usePermissions()
+
+  if (!hasPermission(permissions, permission)) {
+    return <NotAuthorizedScreen />
+  }
+
+  return <Outlet />
+}
+
+export default RequirePermission
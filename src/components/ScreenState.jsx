@@ -0,0 +1,106 @@
+import { Link } from 'react-router-dom'
+import { Package, RefreshCw, ShieldX } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import { NetworkError, ForbiddenError, getErrorTitle } from '@/lib/api-errors.js'
+
+// Full-screen loading spinner
+export function LoadingScreen({ label }) {
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+        <p className="text-gray-600">Loading {label}...</p>
+      </div>
+    </div>
+  )
+}
+
+// Full-screen error with a retry button; titled by the ApiError type.
+// A 403 gets the not-authorized screen, since retrying cannot help.
+export function ErrorScreen({ error, onRetry }) {
+  if (error instanceof ForbiddenError) {
+    return <NotAuthorizedScreen message={error.message} />
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <div className="text-center">
+        <div className="text-red-500 mb-4">
+          <Package className="h-12 w-12 mx-auto mb-2" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">{getErrorTitle(error)}</h2>
+        <p className="text-gray-600 mb-4">{error?.message}</p>
+        {error?.requestId && (
+          <p className="text-gray-400 text-xs mb-4 font-mono">Request ID: {error.requestId}</p>
+        )}
+        <Button onClick={onRetry} className="bg-blue-600 hover:bg-blue-700">
+          {error instanceof NetworkError ? 'Retry Connection' : 'Try Again'}
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+// Inline banner above cached data: revalidating, or the refresh failed
+export function StaleDataNotice({ refreshing, error, onRetry }) {
+  if (error) {
+    return (
+      <div className="mb-4 flex items-center justify-between gap-4 rounded-lg border border-amber-200 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+        <span>
+          {navigator.onLine === false
+            ? 'You are offline. Showing data saved on this device.'
+            : `Showing saved data. ${getErrorTitle(error)}: ${error.message}`}
+        </span>
+        <Button variant="outline" size="sm" onClick={onRetry}>Retry</Button>
+      </div>
+    )
+  }
+
+  if (refreshing) {
+    return (
+      <p className="mb-4 flex items-center gap-2 text-sm text-gray-500">
+        <RefreshCw className="h-3 w-3 animate-spin" />
+        Updating...
+      </p>
+    )
+  }
+
+  return null
+}
+
+// Full-screen message for routes that do not resolve to anything
+export function NotFoundScreen({ title, message }) {
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <div className="text-center">
+        <div className="text-gray-400 mb-4">
+          <Package className="h-12 w-12 mx-auto mb-2" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">{title}</h2>
+        <p className="text-gray-600 mb-4">{message}</p>
+        <Button asChild variant="outline">
+          <Link to="/">Go to home</Link>
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+// Full-screen message for routes and records the user's role does not cover
+export function NotAuthorizedScreen({ message = 'Your role does not have access to this screen.' }) {
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <div className="text-center">
+        <div className="text-amber-500 mb-4">
+          <ShieldX className="h-12 w-12 mx-auto mb-2" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Not authorized</h2>
+        <p className="text-gray-600 mb-4">{message}</p>
+        <p className="text-gray-400 text-sm mb-4">Ask your administrator if you need access.</p>
+        <Button asChild variant="outline">
+          <Link to="/">Go to home</Link>
+        </Button>
+      </div>
+    </div>
+  )
+}
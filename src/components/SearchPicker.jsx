@@ -0,0 +1,98 @@
+import { useCallback, useState } from 'react'
+import { ChevronsUpDown } from 'lucide-react'
+import { Button } from '@/components/ui/button.jsx'
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList
+} from '@/components/ui/command.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import { useCachedQuery } from '@/hooks/use-cached-query.js'
+import { useDebouncedValue } from '@/hooks/use-debounced-value.js'
+
+const MIN_SEARCH_LENGTH = 2
+
+const SEARCH_DELAY_MS = 250
+
+const NO_RESULTS = []
+
+// Search Picker Component
+// Combobox for collections too large to list in a Select: search(term, options)
+// finds matching records on the backend as you type. selected is the chosen
+// record; other props (id, aria-*) go to the trigger so it works inside FormControl
+function SearchPicker({ selected, onSelect, search, getLabel, getDetail, placeholder, searchPlaceholder, ...props }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const term = useDebouncedValue(query.trim(), SEARCH_DELAY_MS)
+
+  const loadResults = useCallback(
+    async (options) => (term.length < MIN_SEARCH_LENGTH ? NO_RESULTS : search(term, options)),
+    [term, search]
+  )
+  const { data: results = NO_RESULTS, loading, error } = useCachedQuery(loadResults)
+  const ready = query.trim().length >= MIN_SEARCH_LENGTH
+  const searching = ready && (loading || query.trim() !== term)
+
+  const handleOpenChange = (next) => {
+    if (!next) setQuery('')
+    setOpen(next)
+  }
+
+  let emptyMessage = 'No matches found.'
+  if (!ready) emptyMessage = `Type at least ${MIN_SEARCH_LENGTH} characters to search.`
+  else if (searching) emptyMessage = 'Searching…'
+  else if (error) emptyMessage = `Search failed: ${error.message}`
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button
+          type="button"
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          className="w-full justify-between font-normal"
+          {...props}
+        >
+          <span className={`truncate ${selected ? '' : 'text-muted-foreground'}`}>
+            {selected ? getLabel(selected) : placeholder}
+          </span>
+          <ChevronsUpDown className="h-4 w-4 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[var(--radix-popover-trigger-width)] p-0" align="start">
+        {/* Results are already matched by the backend */}
+        <Command shouldFilter={false}>
+          <CommandInput value={query} onValueChange={setQuery} placeholder={searchPlaceholder} />
+          <CommandList>
+            <CommandEmpty>{emptyMessage}</CommandEmpty>
+            {ready && !searching && results.length > 0 && (
+              <CommandGroup>
+                {results.map((record) => (
+                  <CommandItem
+                    key={record.id}
+                    value={String(record.id)}
+                    onSelect={() => {
+                      onSelect(record)
+                      handleOpenChange(false)
+                    }}
+                  >
+                    <span className="truncate">{getLabel(record)}</span>
+                    {getDetail && (
+                      <span className="ml-auto truncate text-xs text-muted-foreground">{getDetail(record)}</span>
+                    )}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+export default SearchPicker
@@ -0,0 +1,127 @@
+import { Fragment, useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { useGridColumns } from '@/hooks/use-grid-columns.js'
+
+// Cards are at least 300px tall (min-h-[300px]); rows count as that until measured
+const ROW_HEIGHT = 300
+
+// gap-6
+const GAP = 24
+
+// Rows kept mounted above and below the viewport so a fast fling does not show blanks
+const OVERSCAN = 600
+
+// Index of the first row whose bottom edge is below y
+function findRow(offsets, rowCount, y) {
+  let low = 0
+  let high = rowCount
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    if (offsets[middle + 1] - GAP <= y) low = middle + 1
+    else high = middle
+  }
+  return low
+}
+
+// Virtual Card Grid Component
+// The 1/2/3 column card grid, mounting only the rows near the viewport so large
+// collections stay fast on low-end devices. The window scrolls as before; rows
+// are absolutely positioned and measured once rendered. measurements
+// ({ columns, heights }) can be kept by the caller and passed back after a
+// remount so the grid has its old height straight away (scroll restoration)
+function VirtualCardGrid({ items, getKey, renderItem, measurements }) {
+  const columns = useGridColumns()
+  const containerRef = useRef(null)
+  const observerRef = useRef(null)
+  const [layout, setLayout] = useState(() => ({
+    columns,
+    heights: measurements?.columns === columns ? measurements.heights : []
+  }))
+  // Row heights of another column count say nothing about this one
+  if (layout.columns !== columns) {
+    setLayout({ columns, heights: [] })
+  }
+  const [range, setRange] = useState({ start: 0, end: 0 })
+
+  const rowCount = Math.ceil(items.length / columns)
+  const offsets = useMemo(() => {
+    const tops = [0]
+    for (let row = 0; row < rowCount; row++) {
+      tops.push(tops[row] + (layout.heights[row] ?? ROW_HEIGHT) + GAP)
+    }
+    return tops
+  }, [layout, rowCount])
+  const height = rowCount > 0 ? offsets[rowCount] - GAP : 0
+
+  useEffect(() => {
+    if (measurements) Object.assign(measurements, layout)
+  }, [layout, measurements])
+
+  // Before paint, so the first frame already shows the rows in view
+  useLayoutEffect(() => {
+    const update = () => {
+      const top = containerRef.current.getBoundingClientRect().top
+      const start = findRow(offsets, rowCount, -top - OVERSCAN)
+      const end = Math.min(rowCount, findRow(offsets, rowCount, window.innerHeight - top + OVERSCAN) + 1)
+      setRange((current) => (current.start === start && current.end === end ? current : { start, end }))
+    }
+
+    update()
+    window.addEventListener('scroll', update, { passive: true })
+    window.addEventListener('resize', update)
+    return () => {
+      window.removeEventListener('scroll', update)
+      window.removeEventListener('resize', update)
+    }
+  }, [offsets, rowCount])
+
+  // Each row unobserves itself as it unmounts
+  const observeRow = useCallback((node) => {
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        setLayout((current) => {
+          const heights = [...current.heights]
+          let changed = false
+          for (const entry of entries) {
+            const row = Number(entry.target.dataset.row)
+            if (heights[row] !== entry.contentRect.height) {
+              heights[row] = entry.contentRect.height
+              changed = true
+            }
+          }
+          return changed ? { ...current, heights } : current
+        })
+      })
+    }
+    const observer = observerRef.current
+    observer.observe(node)
+    return () => observer.unobserve(node)
+  }, [])
+
+  const rows = []
+  for (let row = range.start; row < Math.min(range.end, rowCount); row++) {
+    rows.push(row)
+  }
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height }}>
+      {rows.map((row) => (
+        <div
+          // A new column count remounts the rows so they are measured again
+          key={`${columns}-${row}`}
+          ref={observeRow}
+          data-row={row}
+          className="absolute inset-x-0 grid gap-x-6"
+          style={{ top: offsets[row], gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+        >
+          {items.slice(row * columns, (row + 1) * columns).map((item, index) => (
+            <Fragment key={getKey(item, row * columns + index)}>
+              {renderItem(item)}
+            </Fragment>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default VirtualCardGrid
@@ -0,0 +1,16 @@
+import { useNavigate, useLocation } from "react-router-dom"
+
+// Goes back in history when the user navigated here inside the app,
+// otherwise (deep link, shared URL) to the given fallback route
+export function useBackNavigation(fallback) {
+  const navigate = useNavigate()
+  const location = useLocation()
+
+  return () => {
+    if (location.key !== "default") {
+      navigate(-1)
+    } else {
+      navigate(fallback)
+    }
+  }
+}
@@ -0,0 +1,62 @@
+import * as React from "react"
+import apiService from "@/lib/api.js"
+
+const POLL_INTERVAL_MS = 30000
+
+// Sorts a failed health check into something support can act on
+export function classifyHealthError(error) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return "offline"
+  if (!error.status) return "network"
+  if (error.status === 401 || error.status === 403) return "auth"
+  return "server"
+}
+
+// Polls /api/health while the page is visible and reports
+// the backend state, version and round-trip latency
+export function useBackendHealth() {
+  const [health, setHealth] = React.useState({ status: "checking" })
+
+  const check = React.useCallback(async () => {
+    setHealth((current) => ({ ...current, status: current.status === "online" ? "online" : "checking" }))
+    const started = performance.now()
+    try {
+      const { data } = await apiService.healthCheck()
+      setHealth({
+        status: "online",
+        latency: Math.round(performance.now() - started),
+        version: data?.version,
+        checkedAt: new Date()
+      })
+    } catch (error) {
+      setHealth({
+        status: classifyHealthError(error),
+        httpStatus: error.status,
+        message: error.message,
+        checkedAt: new Date()
+      })
+    }
+  }, [])
+
+  React.useEffect(() => {
+    check()
+
+    const interval = setInterval(() => {
+      if (document.visibilityState === "visible") check()
+    }, POLL_INTERVAL_MS)
+    const onVisible = () => {
+      if (document.visibilityState === "visible") check()
+    }
+
+    window.addEventListener("online", check)
+    window.addEventListener("offline", check)
+    document.addEventListener("visibilitychange", onVisible)
+    return () => {
+      clearInterval(interval)
+      window.removeEventListener("online", check)
+      window.removeEventListener("offline", check)
+      document.removeEventListener("visibilitychange", onVisible)
+    }
+  }, [check])
+
+  return { ...health, retry: check }
+}
@@ -0,0 +1,58 @@
+import * as React from "react"
+
+// Stale-while-revalidate loading for screens backed by ApiService reads.
+// loader({ signal, cache }) is first called with cache: "only" to paint whatever
+// is already cached, then again against the network. Only the latest run may
+// write state, and starting a new run (or unmounting) cancels the previous one.
+export function useCachedQuery(loader) {
+  const [state, setState] = React.useState({ loader: null, data: undefined, error: null, refreshing: false })
+  const requestRef = React.useRef(null)
+
+  const refetch = React.useCallback(async () => {
+    requestRef.current?.abort()
+    const controller = new AbortController()
+    requestRef.current = controller
+    const { signal } = controller
+
+    let cached
+    try {
+      cached = await loader({ signal, cache: "only" })
+    } catch {
+      // Nothing cached for at least one of the loader's requests
+    }
+    if (signal.aborted) return
+
+    setState((current) => {
+      if (cached !== undefined) return { loader, data: cached, error: null, refreshing: true }
+      // Keep showing this loader's previous data while it reloads
+      if (current.loader === loader) return { ...current, error: null, refreshing: true }
+      return { loader, data: undefined, error: null, refreshing: true }
+    })
+
+    try {
+      const data = await loader({ signal })
+      if (!signal.aborted) {
+        setState({ loader, data, error: null, refreshing: false })
+      }
+    } catch (error) {
+      if (signal.aborted) return
+      setState((current) => ({ ...current, error, refreshing: false }))
+    }
+  }, [loader])
+
+  React.useEffect(() => {
+    refetch()
+    return () => requestRef.current?.abort()
+  }, [refetch])
+
+  // Data from a previous loader (another module or record) is never returned
+  const current = state.loader === loader
+  const data = current ? state.data : undefined
+  return {
+    data,
+    error: current ? state.error : null,
+    loading: data === undefined && !(current && state.error),
+    refreshing: current && state.refreshing && data !== undefined,
+    refetch
+  }
+}
@@ -0,0 +1,7 @@
+import * as React from "react"
+import { getCompanyId, subscribeCompany } from "@/lib/company.js"
+
+// Selected company id; re-renders when the user switches company
+export function useCompanyId() {
+  return React.useSyncExternalStore(subscribeCompany, getCompanyId)
+}
@@ -0,0 +1,13 @@
+import * as React from "react"
+
+// value, once it has stopped changing for delay ms
+export function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = React.useState(value)
+
+  React.useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay)
+    return () => clearTimeout(timer)
+  }, [value, delay])
+
+  return debounced
+}
@@ -0,0 +1,92 @@
+import * as React from "react"
+import { useCachedQuery } from "@/hooks/use-cached-query.js"
+import { loadFeedPage, pageFromRecords } from "@/lib/feed-query.js"
+
+const NO_MORE = { loader: null, pages: [], loading: false, error: null }
+
+// Pages of a module feed for the search, filters and sort in query.
+// Paged (desktop): only query.page is loaded. Infinite (mobile): the first page
+// comes through useCachedQuery and loadMore() appends the next one, by cursor
+// when the backend sends one. refetch() goes back to the first page.
+// initialPages are the appended pages (extraPages) of an earlier visit to this
+// history entry, so Back returns to the same place in an infinite feed.
+export function useFeed(moduleConfig, { query, productId, infinite, initialPages }) {
+  const page = infinite ? 1 : query.page
+  // Unknown modules resolve to an empty page
+  const loader = React.useCallback(
+    async (options) => moduleConfig
+      ? loadFeedPage(moduleConfig, { query, productId, page }, options)
+      : pageFromRecords(null, [], query),
+    [moduleConfig, query, productId, page]
+  )
+  const first = useCachedQuery(loader)
+  const [more, setMore] = React.useState(NO_MORE)
+  const moreRef = React.useRef(null)
+
+  const [restored, setRestored] = React.useState(null)
+  if (initialPages && initialPages !== restored) {
+    setRestored(initialPages)
+    setMore({ ...NO_MORE, loader, pages: initialPages })
+  }
+
+  // Keep the last page on screen while another search, filter or page of the
+  // same feed loads, so the toolbar is not replaced by a loading screen
+  const [shown, setShown] = React.useState({ moduleConfig: null, productId: null, data: undefined })
+  if (first.data && shown.data !== first.data) {
+    setShown({ moduleConfig, productId, data: first.data })
+  }
+  const sameFeed = shown.moduleConfig === moduleConfig && shown.productId === productId
+  const firstPage = first.data || (sameFeed ? shown.data : undefined)
+
+  // Pages appended for another search (or module) are never shown
+  const extra = more.loader === loader ? more : NO_MORE
+  const pages = firstPage ? [firstPage, ...extra.pages] : []
+  const last = pages.at(-1)
+
+  React.useEffect(() => () => moreRef.current?.abort(), [loader])
+
+  const loadMore = async () => {
+    if (!first.data || !last.pageInfo.hasMore || extra.loading) return
+    moreRef.current?.abort()
+    const controller = new AbortController()
+    moreRef.current = controller
+    const { signal } = controller
+    const nextPage = last.pageInfo.page + 1
+
+    setMore({ ...extra, loader, loading: true, error: null })
+    try {
+      // A backend that sent the whole collection is not asked again
+      const next = last.records
+        ? pageFromRecords(moduleConfig, last.records, query, nextPage, last.pageInfo.limit, last.meta)
+        : await loadFeedPage(moduleConfig, { query, productId, page: nextPage, cursor: last.pageInfo.nextCursor }, { signal })
+      if (!signal.aborted) {
+        setMore((current) => ({ loader, pages: [...current.pages, next], loading: false, error: null }))
+      }
+    } catch (error) {
+      if (signal.aborted) return
+      setMore((current) => ({ ...current, loading: false, error }))
+    }
+  }
+
+  const refetch = () => {
+    moreRef.current?.abort()
+    setMore(NO_MORE)
+    return first.refetch()
+  }
+
+  return {
+    items: pages.flatMap((entry) => entry.items),
+    pageInfo: last?.pageInfo,
+    firstPage,
+    extraPages: extra.pages,
+    // False while the previous search or page is still on screen
+    current: !!first.data,
+    loading: !firstPage && first.loading,
+    refreshing: first.refreshing || (!first.data && !!firstPage && first.loading),
+    error: first.error,
+    loadingMore: extra.loading,
+    loadMoreError: extra.error,
+    loadMore,
+    refetch
+  }
+}
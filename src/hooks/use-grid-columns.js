@@ -0,0 +1,23 @@
+import * as React from "react"
+
+// Tailwind lg and md breakpoints, widest first
+const COLUMN_QUERIES = [
+  ["(min-width: 1024px)", 3],
+  ["(min-width: 768px)", 2],
+]
+
+function subscribe(onChange) {
+  const lists = COLUMN_QUERIES.map(([query]) => window.matchMedia(query))
+  lists.forEach((list) => list.addEventListener("change", onChange))
+  return () => lists.forEach((list) => list.removeEventListener("change", onChange))
+}
+
+function getColumns() {
+  const match = COLUMN_QUERIES.find(([query]) => window.matchMedia(query).matches)
+  return match ? match[1] : 1
+}
+
+// Column count of the card grids (grid-cols-1 md:grid-cols-2 lg:grid-cols-3)
+export function useGridColumns() {
+  return React.useSyncExternalStore(subscribe, getColumns)
+}
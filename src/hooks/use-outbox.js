@@ -0,0 +1,7 @@
+import * as React from "react"
+import { getOutbox, subscribeOutbox } from "@/lib/outbox.js"
+
+// Queued offline writes, oldest first; re-renders as they are added, sent or fail
+export function useOutbox() {
+  return React.useSyncExternalStore(subscribeOutbox, getOutbox)
+}
@@ -0,0 +1,9 @@
+import * as React from "react"
+
+// Provided by RequireAuth once /api/auth/permissions has loaded
+export const PermissionsContext = React.createContext(null)
+
+// { role, grants } for the signed-in user; check them with @/lib/permissions.js
+export function usePermissions() {
+  return React.useContext(PermissionsContext)
+}
@@ -0,0 +1,85 @@
+import * as React from "react"
+import { useLocation, useNavigationType } from "react-router-dom"
+import { subscribeCompany } from "@/lib/company.js"
+
+const MAX_SNAPSHOTS = 20
+
+// Per history entry, in memory: Back and Forward find them, a reload does not
+const snapshots = new Map()
+
+// Entries of another company must not come back after a switch
+subscribeCompany(() => snapshots.clear())
+
+function remember(key, snapshot) {
+  snapshots.delete(key)
+  snapshots.set(key, snapshot)
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value)
+  }
+}
+
+// Snapshot remembered for this history entry by useScrollRestoration, when the
+// user came back to it with Back or Forward; undefined otherwise
+export function useHistorySnapshot() {
+  const location = useLocation()
+  const navigationType = useNavigationType()
+  const read = () => ({
+    key: location.key,
+    snapshot: navigationType === "POP" ? snapshots.get(location.key) : undefined,
+  })
+  // Read once per entry; leaving it (or a StrictMode remount) writes a new one
+  const [entry, setEntry] = React.useState(read)
+  if (entry.key !== location.key) {
+    setEntry(read())
+  }
+  return entry.key === location.key ? entry.snapshot : undefined
+}
+
+// Scroll restoration for a screen whose content loads after it mounts, which
+// the browser cannot restore by itself. Leaving a history entry (navigation or
+// unmount) remembers window.scrollY plus whatever getState() returns, for
+// useHistorySnapshot to hand back so the screen can rebuild its state. Once
+// ready is true the window scrolls back to that snapshot; pushed entries start
+// at the top and replaced ones (typing in a search box) do not scroll.
+export function useScrollRestoration(snapshot, ready, getState) {
+  const location = useLocation()
+  const navigationType = useNavigationType()
+  const stateRef = React.useRef(getState)
+  const scrollRef = React.useRef(0)
+  const restoredRef = React.useRef(null)
+
+  React.useEffect(() => {
+    stateRef.current = getState
+  })
+
+  // Tracked as it changes: by the time a navigation commits the page may be shorter
+  React.useEffect(() => {
+    const previous = window.history.scrollRestoration
+    window.history.scrollRestoration = "manual"
+    const handleScroll = () => {
+      scrollRef.current = window.scrollY
+    }
+    handleScroll()
+    window.addEventListener("scroll", handleScroll, { passive: true })
+    return () => {
+      window.removeEventListener("scroll", handleScroll)
+      window.history.scrollRestoration = previous
+    }
+  }, [])
+
+  // Runs as the entry is left, before the next one has been restored
+  React.useEffect(() => {
+    const key = location.key
+    return () => remember(key, { scrollY: scrollRef.current, ...stateRef.current() })
+  }, [location.key])
+
+  React.useLayoutEffect(() => {
+    if (!ready || restoredRef.current === location.key) return
+    restoredRef.current = location.key
+    if (snapshot) {
+      window.scrollTo(0, snapshot.scrollY)
+    } else if (navigationType === "PUSH") {
+      window.scrollTo(0, 0)
+    }
+  }, [ready, location.key, navigationType, snapshot])
+}
@@ -0,0 +1,8 @@
+import * as React from "react"
+import { getSession, subscribeSession } from "@/lib/auth.js"
+
+// Current session ({ accessToken, refreshToken, user }) or null;
+// re-renders on sign in, sign out and token refresh
+export function useSession() {
+  return React.useSyncExternalStore(subscribeSession, getSession)
+}
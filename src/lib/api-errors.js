@@ -0,0 +1,127 @@
+// Typed errors thrown by ApiService.request
+// Every error carries the HTTP status, the backend's own message and the
+// request id so screens and support can tell failures apart.
+
+export class ApiError extends Error {
+  constructor(message, { status, code, requestId, body, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.requestId = requestId
+    this.body = body
+  }
+}
+
+// fetch rejected before any response arrived
+export class NetworkError extends ApiError {
+  constructor(message = 'The ERP backend could not be reached.', options) {
+    super(message, options)
+    this.name = 'NetworkError'
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message = 'The ERP backend took too long to respond.', options) {
+    super(message, options)
+    this.name = 'TimeoutError'
+  }
+}
+
+// 401
+export class UnauthorizedError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', options) {
+    super(message, options)
+    this.name = 'UnauthorizedError'
+  }
+}
+
+// 403
+export class ForbiddenError extends ApiError {
+  constructor(message = 'You do not have permission to do that.', options) {
+    super(message, options)
+    this.name = 'ForbiddenError'
+  }
+}
+
+// 404
+export class NotFoundError extends ApiError {
+  constructor(message = 'The record could not be found.', options) {
+    super(message, options)
+    this.name = 'NotFoundError'
+  }
+}
+
+// 409
+export class ConflictError extends ApiError {
+  constructor(message = 'The record was changed by someone else. Reload and try again.', options) {
+    super(message, options)
+    this.name = 'ConflictError'
+  }
+}
+
+// 422, or 400 with field errors; fieldErrors maps field paths to messages
+export class ValidationError extends ApiError {
+  constructor(message = 'Some fields need attention.', options = {}) {
+    super(message, options)
+    this.name = 'ValidationError'
+    this.fieldErrors = options.fieldErrors || {}
+  }
+}
+
+// 5xx
+export class ServerError extends ApiError {
+  constructor(message = 'The ERP backend reported an error.', options) {
+    super(message, options)
+    this.name = 'ServerError'
+  }
+}
+
+// Accepts { field: message | [messages] } or [{ field | path, message }]
+export function normalizeFieldErrors(errors) {
+  if (!errors || typeof errors !== 'object') return {}
+
+  const entries = Array.isArray(errors)
+    ? errors.map((entry) => [entry.field || entry.path, entry.message])
+    : Object.entries(errors).map(([field, message]) => [field, Array.isArray(message) ? message[0] : message])
+
+  return Object.fromEntries(entries.filter(([field, message]) => field && message))
+}
+
+// Builds the typed error for a non-2xx response
+export function createHttpError(response, body, requestId) {
+  const message = body?.message || body?.error || undefined
+  const options = { status: response.status, code: body?.code, requestId, body }
+  const fieldErrors = normalizeFieldErrors(body?.errors)
+
+  if (response.status === 401) return new UnauthorizedError(message, options)
+  if (response.status === 403) return new ForbiddenError(message, options)
+  if (response.status === 404) return new NotFoundError(message, options)
+  if (response.status === 409) return new ConflictError(message, options)
+  if (response.status === 422 || (response.status === 400 && Object.keys(fieldErrors).length > 0)) {
+    return new ValidationError(message, { ...options, fieldErrors })
+  }
+  if (response.status >= 500) return new ServerError(message, options)
+  return new ApiError(message || `Request failed (HTTP ${response.status}).`, options)
+}
+
+// True for requests cancelled through an AbortSignal (not timeouts)
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+const ERROR_TITLES = {
+  NetworkError: 'Connection Error',
+  TimeoutError: 'Request Timed Out',
+  UnauthorizedError: 'Signed Out',
+  ForbiddenError: 'Not Authorized',
+  NotFoundError: 'Not Found',
+  ConflictError: 'Conflict',
+  ValidationError: 'Invalid Request',
+  ServerError: 'Server Error'
+}
+
+// Title for full-screen and toast error displays
+export function getErrorTitle(error) {
+  return ERROR_TITLES[error?.name] || 'Something Went Wrong'
+}
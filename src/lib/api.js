@@ -1,105 +1,652 @@
 // API Service for Visual ERP Frontend
 // Connects to production ERP backend
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
-const API_KEY = import.meta.env.VITE_API_KEY
+import { ApiError, NetworkError, TimeoutError, UnauthorizedError, createHttpError, isAbortError } from './api-errors.js'
+import { QueryCache, CacheMissError, scopedKey } from './query-cache.js'
+import { getSession, getSessionUserId, setSession, clearSession } from './auth.js'
+import { getCompanyId } from './company.js'
+import { readSavedResponse, saveResponse, deleteSavedResponses, clearSavedResponses } from './offline-store.js'
+import { getOutbox, isOwnEntry, addOutboxEntry, updateOutboxEntry, removeOutboxEntry } from './outbox.js'
+
+// Replaced from config.json by configure() before the app renders
+const DEFAULT_BASE_URL = 'http://localhost:3000'
+
+const DEFAULT_TIMEOUT_MS = 15000
+
+// Health checks report the backend as it is right now: one short attempt,
+// so a hung backend shows up quickly and latency is a single round trip
+const HEALTH_CHECK_TIMEOUT_MS = 5000
+
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  // Give up instead of waiting when the server asks for a longer pause
+  maxRetryAfter: 30000
+}
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD'])
+
+// Gateway errors that usually clear up on their own
+const RETRYABLE_STATUSES = new Set([502, 503, 504])
+
+// GET responses also saved to IndexedDB so these screens work offline;
+// permissions and companies are needed to render anything after sign-in
+const OFFLINE_PREFIXES = ['/api/inventory', '/api/customers', '/api/quotes', '/api/auth/permissions', '/api/companies']
+
+// Results per type for the search endpoints
+const SEARCH_LIMIT = 8
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+function isConnectionError(error) {
+  return error instanceof NetworkError || error instanceof TimeoutError
+}
+
+// The refresh endpoint refused the token itself (OAuth servers answer 400 invalid_grant)
+function isRejectedRefresh(error) {
+  if (error.status === 401 || error.status === 403) return true
+  return error.status === 400 && (error.code === 'invalid_grant' || error.body?.error === 'invalid_grant')
+}
+
+function isSavedOffline(endpoint) {
+  return OFFLINE_PREFIXES.some((prefix) => endpoint.startsWith(prefix))
+}
+
+// Appends the non-empty params as a query string
+function withQuery(endpoint, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString()
+  return query ? `${endpoint}?${query}` : endpoint
+}
+
+// Waits between retries; rejects early when the request is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms
+function parseRetryAfter(value) {
+  if (!value) return undefined
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+// Why fetch() or reading the body rejected: the caller cancelled, the timeout
+// fired (also while a stalled backend was sending the body), or the connection dropped
+function toConnectionError(error, signal) {
+  if (signal?.aborted) return signal.reason
+  if (error.name === 'AbortError') return new TimeoutError(undefined, { cause: error })
+  return new NetworkError(undefined, { cause: error })
+}
+
+// Body that is not JSON, e.g. an HTML page from a proxy or an SPA fallback
+const UNPARSEABLE_BODY = Symbol('unparseable body')
+
+// Empty bodies (204) become null, and non-JSON ones UNPARSEABLE_BODY
+async function parseBody(response) {
+  if (response.status === 204) return null
+  const text = await response.text()
+  if (!text.trim()) return null
+  try {
+    return JSON.parse(text)
+  } catch {
+    return UNPARSEABLE_BODY
+  }
+}
+
+function normalizeResponse(body, dataKey, requestId) {
+  let data = body
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    if (dataKey && dataKey in body) {
+      data = body[dataKey]
+    } else if ('data' in body) {
+      data = body.data
+    }
+  }
+
+  return {
+    data,
+    meta: body?.meta || body?.pagination || {},
+    requestId
+  }
+}
 
 class ApiService {
   constructor() {
-    this.baseURL = API_BASE_URL
+    this.baseURL = DEFAULT_BASE_URL
+    this.timeout = DEFAULT_TIMEOUT_MS
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY }
+    this.cache = new QueryCache()
     this.headers = {
-      'Content-Type': 'application/json',
-      ...(API_KEY && { 'Authorization': `Bearer ${API_KEY}` })
+      'Content-Type': 'application/json'
     }
+    // Shared by concurrent requests that hit a 401 at the same time
+    this.refreshPromise = null
+    this.replayPromise = null
   }
 
-  async request(endpoint, options = {}) {
+  // Applies runtime settings from ./config.js
+  configure({ baseURL, timeout, retries }) {
+    if (baseURL) this.baseURL = baseURL
+    if (timeout) this.timeout = timeout
+    if (retries !== undefined) this.retryPolicy.retries = retries
+  }
+
+  // Returns { data, meta, requestId }; data is the record or list found under
+  // options.dataKey (or `data`) in the backend's { success, ... } envelope.
+  // Failures throw the typed errors from ./api-errors.js.
+  //
+  // Extra options:
+  //   timeout         ms before the attempt is aborted (default this.timeout)
+  //   retries         retry budget for retryable failures (default this.retryPolicy.retries)
+  //   idempotencyKey  sent as Idempotency-Key; makes a write safe to retry
+  //   signal          AbortSignal that cancels the request and any pending retry
+  //   cache           'only' resolves from the GET cache (or the offline copy in
+  //                   IndexedDB) without touching the network, throwing
+  //                   CacheMissError when nothing is cached
+  //   invalidates     endpoint prefixes to drop from the cache after a successful
+  //                   write (default: the whole cache)
+  //   auth            false skips the bearer token and the refresh-on-401 retry
+  //   refresh         false sends the token but leaves a 401 as it is: no
+  //                   refresh, no retry and no sign-out
+  //   outbox          label for a write that should be queued when offline; it
+  //                   then resolves to { data: null, queued: true } (see ./outbox.js)
+  //   companyId       company to send the request for (default: the selected one)
+  //   params          query string values, e.g. { page, limit, cursor, search };
+  //                   empty values are left out
+  async request(path, options = {}) {
+    const {
+      params,
+      retries,
+      idempotencyKey: providedKey,
+      cache,
+      invalidates,
+      auth = true,
+      refresh = true,
+      outbox,
+      // Pinned for the whole request so a company switch mid-flight cannot mix data
+      companyId = getCompanyId(),
+      ...sendOptions
+    } = options
+    const endpoint = withQuery(path, params)
+    const method = (sendOptions.method || 'GET').toUpperCase()
+    const cacheable = method === 'GET'
+    // Queued writes always carry a key, so a replay after a lost response is harmless
+    const idempotencyKey = providedKey || (outbox && !cacheable ? createIdempotencyKey() : undefined)
+
+    if (cache === 'only') {
+      const entry = cacheable && (this.cache.get(endpoint, companyId) || await this.readOffline(endpoint, companyId))
+      if (!entry) throw new CacheMissError(endpoint)
+      return entry.response
+    }
+
+    const queue = () => this.enqueue(endpoint, { ...sendOptions, method, invalidates, idempotencyKey, companyId, label: outbox })
+    if (outbox && !cacheable && isOffline()) {
+      return queue()
+    }
+
+    if (idempotencyKey) {
+      sendOptions.headers = { ...sendOptions.headers, 'Idempotency-Key': idempotencyKey }
+    }
+    sendOptions.auth = auth
+    sendOptions.companyId = companyId
+
+    // Writes are only replayed when the backend can de-duplicate them
+    const canRetry = IDEMPOTENT_METHODS.has(method) || !!idempotencyKey
+    const maxRetries = canRetry ? (retries ?? this.retryPolicy.retries) : 0
+
+    let refreshed = false
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.send(endpoint, sendOptions)
+        if (cacheable) {
+          this.cache.set(endpoint, response, companyId)
+          this.saveOffline(endpoint, companyId, response)
+        } else {
+          this.invalidate(invalidates, companyId)
+        }
+        return response
+      } catch (error) {
+        // Cancelled by the caller: no retry, nothing worth logging
+        if (isAbortError(error)) throw error
+
+        // Expired access token: refresh once, then replay without using a retry
+        if (error instanceof UnauthorizedError && auth && refresh && !refreshed && getSession()?.refreshToken) {
+          refreshed = true
+          let renewed
+          try {
+            renewed = await this.refreshSession()
+          } catch (refreshError) {
+            // The refresh endpoint was unreachable or failing: still signed in,
+            // so this fails (or queues) like any other connection problem
+            if (outbox && !cacheable && isConnectionError(refreshError)) return queue()
+            throw refreshError
+          }
+          if (renewed) {
+            attempt--
+            continue
+          }
+        }
+
+        const delay = attempt < maxRetries ? this.getRetryDelay(error, attempt) : null
+        if (delay === null) {
+          // Lost the connection mid-write: keep it for replay instead of failing
+          if (outbox && !cacheable && isConnectionError(error)) return queue()
+
+          console.error(`API Error (${endpoint}):`, error)
+          // Still rejected after any refresh: the session is no longer usable
+          if (error instanceof UnauthorizedError && auth && refresh) this.endSession()
+          throw error
+        }
+        await sleep(delay, sendOptions.signal)
+      }
+    }
+  }
+
+  // A single attempt, aborted after the timeout or by the caller's signal
+  async send(endpoint, options) {
     const url = `${this.baseURL}${endpoint}`
-    
+    const { dataKey, timeout = this.timeout, signal, auth, companyId, headers, ...fetchOptions } = options
+    const accessToken = auth ? getSession()?.accessToken : null
+
+    signal?.throwIfAborted()
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    const abortFromCaller = () => controller.abort(signal.reason)
+    signal?.addEventListener('abort', abortFromCaller, { once: true })
+
     const config = {
-      headers: this.headers,
-      ...options
+      ...fetchOptions,
+      headers: {
+        ...this.headers,
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` }),
+        ...(companyId && { 'X-Company-Id': companyId }),
+        ...headers
+      },
+      signal: controller.signal
     }
 
     try {
-      const response = await fetch(url, config)
-      
+      let response
+      let parsed
+      try {
+        response = await fetch(url, config)
+        parsed = await parseBody(response)
+      } catch (error) {
+        throw toConnectionError(error, signal)
+      }
+
+      const body = parsed === UNPARSEABLE_BODY ? null : parsed
+      const requestId = response.headers.get('X-Request-Id') || body?.requestId
+
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        const error = createHttpError(response, body, requestId)
+        error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+        throw error
+      }
+
+      // Successful status but not the ERP backend answering (misconfigured base URL or proxy)
+      if (parsed === UNPARSEABLE_BODY) {
+        throw new ApiError('Unexpected response from the ERP backend.', { status: response.status, requestId })
+      }
+
+      if (body?.success === false) {
+        throw new ApiError(body.message || 'The ERP backend could not complete the request.', {
+          status: response.status,
+          code: body.code,
+          requestId,
+          body
+        })
+      }
+
+      return normalizeResponse(body, dataKey, requestId)
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', abortFromCaller)
+    }
+  }
+
+  // Delay in ms before the next attempt, or null when the error is not retryable.
+  // Honors Retry-After; otherwise full-jitter exponential backoff.
+  getRetryDelay(error, attempt) {
+    const retryable = isConnectionError(error) || RETRYABLE_STATUSES.has(error.status)
+    // No point backing off while the device itself has no network
+    if (!retryable || isOffline()) return null
+
+    const { baseDelay, maxDelay, maxRetryAfter } = this.retryPolicy
+    if (error.retryAfter !== undefined) {
+      return error.retryAfter <= maxRetryAfter ? error.retryAfter : null
+    }
+    return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt)
+  }
+
+  // Auth API methods
+  // Sessions come back as { accessToken, refreshToken, user }
+  async login(credentials, options = {}) {
+    const { data } = await this.request('/api/auth/login', {
+      ...options,
+      method: 'POST',
+      dataKey: 'session',
+      auth: false,
+      body: JSON.stringify(credentials)
+    })
+    this.cache.clear()
+    setSession(data)
+    return data
+  }
+
+  // { role, grants } for the signed-in user, see ./permissions.js
+  async getPermissions(options = {}) {
+    return this.request('/api/auth/permissions', { dataKey: 'permissions', ...options })
+  }
+
+  // Companies (legal entities) the user can work in: [{ id, name, isDefault }]
+  async getCompanies(options = {}) {
+    return this.request('/api/companies', { dataKey: 'companies', ...options })
+  }
+
+  // Resolves to false (and signs out) when the refresh token is rejected. Any
+  // other failure (offline, timeout, 5xx) keeps the session and is rethrown
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      const { refreshToken } = getSession() || {}
+      this.refreshPromise = this.request('/api/auth/refresh', {
+        method: 'POST',
+        dataKey: 'session',
+        auth: false,
+        retries: 0,
+        invalidates: [],
+        body: JSON.stringify({ refreshToken })
+      })
+        .then(({ data }) => {
+          setSession({ ...getSession(), ...data })
+          return true
+        })
+        .catch((error) => {
+          if (!isRejectedRefresh(error)) throw error
+          this.endSession()
+          return false
+        })
+        .finally(() => {
+          this.refreshPromise = null
+        })
+    }
+    return this.refreshPromise
+  }
+
+  // Revokes the refresh token server-side; signs out locally even if that fails
+  async logout() {
+    const { refreshToken } = getSession() || {}
+    try {
+      if (refreshToken) {
+        await this.request('/api/auth/logout', {
+          method: 'POST',
+          retries: 0,
+          invalidates: [],
+          body: JSON.stringify({ refreshToken })
+        })
       }
+    } catch {
+      // Nothing to do: the local session is dropped either way
+    } finally {
+      this.endSession()
+    }
+  }
 
-      const data = await response.json()
-      return data
+  // Drops tokens and every cached response so the next user starts clean. The
+  // selected company is kept per user (see ./company.js), and queued writes stay:
+  // they only replay for the user and backend they were made for.
+  endSession() {
+    clearSession()
+    this.cache.clear()
+    clearSavedResponses().catch((error) => console.error('Could not clear offline data:', error))
+  }
+
+  // Drops matching responses from memory and from the offline copy
+  invalidate(prefixes, companyId) {
+    this.cache.invalidate(prefixes, companyId)
+    const scoped = prefixes?.map((prefix) => scopedKey(companyId, prefix))
+    const cleared = scoped
+      ? deleteSavedResponses((key) => scoped.some((prefix) => key.startsWith(prefix)))
+      : clearSavedResponses()
+    cleared.catch((error) => console.error('Could not update offline data:', error))
+  }
+
+  // Offline copies never fail a request; IndexedDB errors are only logged
+  async readOffline(endpoint, companyId) {
+    if (!isSavedOffline(endpoint)) return undefined
+    try {
+      return await readSavedResponse(scopedKey(companyId, endpoint))
     } catch (error) {
-      console.error(`API Error (${endpoint}):`, error)
-      throw error
+      console.error('Could not read offline data:', error)
+      return undefined
     }
   }
 
+  saveOffline(endpoint, companyId, response) {
+    if (!isSavedOffline(endpoint)) return
+    saveResponse(scopedKey(companyId, endpoint), { response, updatedAt: Date.now() })
+      .catch((error) => console.error('Could not save offline data:', error))
+  }
+
+  // Outbox methods
+  async enqueue(endpoint, { label, method, body, dataKey, invalidates, idempotencyKey, companyId }) {
+    await addOutboxEntry({
+      id: idempotencyKey,
+      label: label === true ? `${method} ${endpoint}` : label,
+      endpoint,
+      method,
+      body,
+      dataKey,
+      invalidates,
+      idempotencyKey,
+      companyId,
+      userId: getSessionUserId(),
+      baseURL: this.baseURL,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    })
+    return { data: null, meta: {}, requestId: undefined, queued: true }
+  }
+
+  // Sends queued writes in order; stops at the first connection or auth failure
+  // and marks writes the backend rejects (409 conflicts, validation) as failed.
+  // Resolves to { sent, failed } counts for this run.
+  async replayOutbox() {
+    if (!this.replayPromise) {
+      this.replayPromise = this.sendOutbox().finally(() => {
+        this.replayPromise = null
+      })
+    }
+    return this.replayPromise
+  }
+
+  async sendOutbox() {
+    const result = { sent: 0, failed: 0 }
+    const userId = getSessionUserId()
+    const pending = getOutbox().filter((entry) => entry.status === 'pending' && isOwnEntry(entry, userId, this.baseURL))
+
+    for (const entry of pending) {
+      try {
+        await this.request(entry.endpoint, {
+          method: entry.method,
+          body: entry.body,
+          dataKey: entry.dataKey,
+          invalidates: entry.invalidates,
+          idempotencyKey: entry.idempotencyKey,
+          companyId: entry.companyId
+        })
+      } catch (error) {
+        if (isConnectionError(error) || error instanceof UnauthorizedError || isAbortError(error)) break
+        await updateOutboxEntry(entry.id, {
+          status: 'failed',
+          error: { name: error.name, message: error.message, status: error.status, requestId: error.requestId }
+        })
+        result.failed++
+        continue
+      }
+
+      result.sent++
+      // Sent either way: a copy left in IndexedDB replays with the same key, which the backend ignores
+      await removeOutboxEntry(entry.id).catch((error) => console.error('Could not remove a sent offline change:', error))
+    }
+    return result
+  }
+
   // Inventory API methods
-  async getProducts() {
-    return this.request('/api/inventory/products')
+  async getProducts(options = {}) {
+    return this.request('/api/inventory/products', { dataKey: 'products', ...options })
   }
 
-  async getProduct(id) {
-    return this.request(`/api/inventory/products/${id}`)
+  async getProduct(id, options = {}) {
+    return this.request(`/api/inventory/products/${id}`, { dataKey: 'product', ...options })
+  }
+
+  async createProduct(data, options = {}) {
+    return this.request('/api/inventory/products', {
+      ...options,
+      method: 'POST',
+      dataKey: 'product',
+      invalidates: ['/api/inventory', '/api/analytics'],
+      body: JSON.stringify(data)
+    })
+  }
+
+  // Partial update: only the fields in data change
+  async updateProduct(id, data, options = {}) {
+    return this.request(`/api/inventory/products/${id}`, {
+      outbox: `Update product ${id}`,
+      ...options,
+      method: 'PATCH',
+      dataKey: 'product',
+      invalidates: ['/api/inventory', '/api/analytics'],
+      body: JSON.stringify(data)
+    })
+  }
+
+  // Matches product name or SKU
+  async searchProducts(search, options = {}) {
+    return this.request('/api/inventory/products', {
+      dataKey: 'products',
+      params: { search, limit: SEARCH_LIMIT },
+      ...options
+    })
   }
 
-  async getBatches() {
-    return this.request('/api/inventory/batches')
+  async getBatches(options = {}) {
+    return this.request('/api/inventory/batches', { dataKey: 'batches', ...options })
   }
 
-  async getLots() {
-    return this.request('/api/inventory/lots')
+  async getLots(options = {}) {
+    return this.request('/api/inventory/lots', { dataKey: 'lots', ...options })
   }
 
   // Customer API methods
-  async getCustomers() {
-    return this.request('/api/customers')
+  async getCustomers(options = {}) {
+    return this.request('/api/customers', { dataKey: 'customers', ...options })
   }
 
-  async getCustomer(id) {
-    return this.request(`/api/customers/${id}`)
+  async getCustomer(id, options = {}) {
+    return this.request(`/api/customers/${id}`, { dataKey: 'customer', ...options })
+  }
+
+  // Matches company or contact name
+  async searchCustomers(search, options = {}) {
+    return this.request('/api/customers', {
+      dataKey: 'customers',
+      params: { search, limit: SEARCH_LIMIT },
+      ...options
+    })
   }
 
   // Sales API methods
-  async getQuotes() {
-    return this.request('/api/quotes')
+  async getQuotes(options = {}) {
+    return this.request('/api/quotes', { dataKey: 'quotes', ...options })
   }
 
-  async getQuote(id) {
-    return this.request(`/api/quotes/${id}`)
+  async getQuote(id, options = {}) {
+    return this.request(`/api/quotes/${id}`, { dataKey: 'quote', ...options })
   }
 
-  async createQuote(data) {
+  async createQuote(data, options = {}) {
     return this.request('/api/quotes', {
+      outbox: 'New quote',
+      ...options,
       method: 'POST',
+      dataKey: 'quote',
+      invalidates: ['/api/quotes', '/api/analytics'],
       body: JSON.stringify(data)
     })
   }
 
+  async sendQuote(id, options = {}) {
+    return this.request(`/api/quotes/${id}/send`, {
+      outbox: `Send quote ${id}`,
+      ...options,
+      method: 'POST',
+      dataKey: 'quote',
+      invalidates: ['/api/quotes', '/api/analytics']
+    })
+  }
+
+  async convertQuote(id, options = {}) {
+    return this.request(`/api/quotes/${id}/convert`, {
+      outbox: `Convert quote ${id}`,
+      ...options,
+      method: 'POST',
+      dataKey: 'order',
+      invalidates: ['/api/quotes', '/api/finance', '/api/inventory', '/api/analytics']
+    })
+  }
+
   // Finance API methods
-  async getAccountsReceivable() {
-    return this.request('/api/finance/ar')
+  async getAccountsReceivable(options = {}) {
+    return this.request('/api/finance/ar', { dataKey: 'invoices', ...options })
   }
 
-  async getAccountsPayable() {
-    return this.request('/api/finance/ap')
+  async getAccountsPayable(options = {}) {
+    return this.request('/api/finance/ap', { dataKey: 'bills', ...options })
   }
 
   // Analytics API methods
-  async getDashboardData() {
-    return this.request('/api/analytics/dashboard')
+  async getDashboardData(options = {}) {
+    return this.request('/api/analytics/dashboard', { dataKey: 'dashboard', ...options })
   }
 
-  async getReports() {
-    return this.request('/api/analytics/reports')
+  async getReports(options = {}) {
+    return this.request('/api/analytics/reports', { dataKey: 'reports', ...options })
   }
 
-  // Health check
-  async healthCheck() {
-    return this.request('/api/health')
+  async runReport(id, params = {}, options = {}) {
+    return this.request(`/api/analytics/reports/${id}`, { dataKey: 'result', params, ...options })
   }
+
+  // Health check; a 401 is reported (as 'auth') rather than refreshed or signed out
+  async healthCheck(options = {}) {
+    return this.request('/api/health', { retries: 0, refresh: false, timeout: HEALTH_CHECK_TIMEOUT_MS, ...options })
+  }
+}
+
+// Key for Idempotency-Key headers; randomUUID needs a secure context
+export function createIdempotencyKey() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
 }
 
 // Create singleton instance
@@ -111,16 +658,23 @@ export default apiService
 export const {
   getProducts,
   getProduct,
+  searchProducts,
+  createProduct,
+  updateProduct,
   getBatches,
   getLots,
   getCustomers,
   getCustomer,
+  searchCustomers,
   getQuotes,
   getQuote,
   createQuote,
+  sendQuote,
+  convertQuote,
   getAccountsReceivable,
   getAccountsPayable,
   getDashboardData,
   getReports,
+  runReport,
   healthCheck
 } = apiService
@@ -0,0 +1,68 @@
+// Signed-in session for Visual ERP
+// Holds the access and refresh tokens issued by /api/auth/login and tells
+// subscribers (the session hook, route guards) when the user signs in or out.
+
+import { z } from 'zod'
+
+const STORAGE_KEY = 'visual-erp.session'
+
+// Validation for the login screen
+export const loginSchema = z.object({
+  email: z.string().min(1, 'Enter your email').email('Enter a valid email'),
+  password: z.string().min(1, 'Enter your password')
+})
+
+const listeners = new Set()
+
+function readStoredSession() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+let session = readStoredSession()
+
+function emit() {
+  listeners.forEach((listener) => listener(session))
+}
+
+// { accessToken, refreshToken, user } or null when signed out
+export function getSession() {
+  return session
+}
+
+// Stable id for the signed-in user, used to keep queued writes per user
+export function getSessionUserId(current = session) {
+  const user = current?.user
+  return user?.id ?? user?.email ?? null
+}
+
+export function setSession(next) {
+  session = next
+  if (next) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+  }
+  emit()
+}
+
+export function clearSession() {
+  if (session) setSession(null)
+}
+
+export function subscribeSession(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Signing in or out in another tab applies here too
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return
+    session = readStoredSession()
+    emit()
+  })
+}
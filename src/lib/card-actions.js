@@ -0,0 +1,37 @@
+// Card action registry for Visual ERP modules
+// Each module declares the actions offered behind VisualCard's menu button.
+//
+// An action looks like:
+//   {
+//     id: 'archive',
+//     label: 'Archive',
+//     icon: Archive,                       // lucide-react icon component
+//     destructive: true,                   // optional, renders in red
+//     when: (item) => boolean,             // optional, hides the action when false
+//     confirm: { title, description },     // optional, asks before running
+//     dialog: Component,                   // optional, rendered instead of run()
+//     run: async (item, context) => {},    // context = { navigate }
+//     success: 'Product archived',         // optional toast on success
+//     refresh: false,                      // optional, skip reloading the feed afterwards
+//     permission: 'quotes.create'          // optional, defaults to '<module>.<id>'
+//   }
+
+import { canUseAction } from './permissions.js'
+
+const registry = new Map()
+
+export function registerCardActions(module, actions) {
+  const existing = registry.get(module) || []
+  const ids = new Set(actions.map((action) => action.id))
+  registry.set(module, [
+    ...existing.filter((action) => !ids.has(action.id)),
+    ...actions
+  ])
+}
+
+// Actions the user may run on this item; pass the user's permissions from usePermissions()
+export function getCardActions(module, item, permissions) {
+  return (registry.get(module) || []).filter(
+    (action) => canUseAction(permissions, module, action) && (!action.when || action.when(item))
+  )
+}
@@ -0,0 +1,67 @@
+// Selected company (legal entity) for Visual ERP
+// ApiService sends it as the X-Company-Id header and scopes its cache by it.
+// Each user's last selection is remembered on this device under their own key,
+// so it survives sign-out and is never sent for another user.
+
+import { getSessionUserId, subscribeSession } from './auth.js'
+
+const STORAGE_PREFIX = 'visual-erp.company.'
+
+const listeners = new Set()
+
+let userId = getSessionUserId()
+let companyId = readStoredCompany()
+
+function storageKey() {
+  return `${STORAGE_PREFIX}${userId}`
+}
+
+function readStoredCompany() {
+  return userId === null ? null : localStorage.getItem(storageKey())
+}
+
+function emit() {
+  listeners.forEach((listener) => listener(companyId))
+}
+
+// Company id as a string, or null while signed out or before the user's first selection
+export function getCompanyId() {
+  return companyId
+}
+
+export function setCompanyId(id) {
+  companyId = id === null || id === undefined ? null : String(id)
+  if (userId !== null) {
+    if (companyId) {
+      localStorage.setItem(storageKey(), companyId)
+    } else {
+      localStorage.removeItem(storageKey())
+    }
+  }
+  emit()
+}
+
+export function subscribeCompany(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Another user (or nobody) signed in: switch to their stored selection
+subscribeSession((session) => {
+  const nextUserId = getSessionUserId(session)
+  if (nextUserId === userId) return
+  userId = nextUserId
+  companyId = readStoredCompany()
+  emit()
+})
+
+// The stored company when the user can still access it, else their default
+// (isDefault) or first company
+export function resolveCompany(companies, id = companyId) {
+  return (
+    companies.find((company) => String(company.id) === id) ||
+    companies.find((company) => company.isDefault) ||
+    companies[0] ||
+    null
+  )
+}
@@ -0,0 +1,78 @@
+// Runtime configuration for Visual ERP
+// Loaded from config.json next to index.html, so one build can be deployed to
+// staging and every tenant with only that file changed:
+//   {
+//     defaultEnvironment: 'production',
+//     environments: [{ id, label, apiUrl }],
+//     timeout: 15000,                        // optional, ms per attempt
+//     retries: 3                             // optional, GET retry budget
+//   }
+// A bare { apiUrl } is treated as a single environment.
+
+const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`
+const STORAGE_KEY = 'visual-erp.environment'
+
+const FALLBACK_CONFIG = {
+  defaultEnvironment: 'local',
+  environments: [{ id: 'local', label: 'Local', apiUrl: 'http://localhost:3000' }]
+}
+
+let config = FALLBACK_CONFIG
+
+function normalizeConfig(raw) {
+  const environments = Array.isArray(raw?.environments)
+    ? raw.environments.filter((environment) => environment?.id && environment.apiUrl)
+    : raw?.apiUrl
+      ? [{ id: 'default', label: 'Default', apiUrl: raw.apiUrl }]
+      : []
+
+  if (environments.length === 0) {
+    throw new Error('config.json does not define any environment with an apiUrl')
+  }
+
+  return {
+    ...raw,
+    environments: environments.map((environment) => ({
+      ...environment,
+      label: environment.label || environment.id,
+      apiUrl: environment.apiUrl.replace(/\/+$/, '')
+    }))
+  }
+}
+
+// Fetched before the app renders; falls back to localhost so a missing file
+// does not leave a blank page
+export async function loadConfig() {
+  try {
+    const response = await fetch(CONFIG_URL, { cache: 'no-store' })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    config = normalizeConfig(await response.json())
+  } catch (error) {
+    console.error('Could not load config.json, using local defaults:', error)
+    config = FALLBACK_CONFIG
+  }
+  return config
+}
+
+export function getConfig() {
+  return config
+}
+
+export function getEnvironments() {
+  return config.environments
+}
+
+// The environment picked in the switcher, else the configured default, else the first one
+export function getActiveEnvironment() {
+  const { environments, defaultEnvironment } = config
+  const stored = localStorage.getItem(STORAGE_KEY)
+  return (
+    environments.find((environment) => environment.id === stored) ||
+    environments.find((environment) => environment.id === defaultEnvironment) ||
+    environments[0]
+  )
+}
+
+export function setActiveEnvironment(id) {
+  localStorage.setItem(STORAGE_KEY, id)
+}
@@ -0,0 +1,146 @@
+// Search, filter, sort and paging for the Visual ERP feeds
+// Each module in modules.js may declare `search` (record fields matched by the
+// text box), `filters` and `sorts`. The current choice lives in the URL query
+// (?q=&<filter name>=&sort=&page=) so a filtered view can be shared or bookmarked.
+//
+// filter: { name, label, options: [{ value, label }], match: (item, value) => boolean }
+// sort:   { value, label, compare: (a, b) => number }; the first one is the default
+
+// Select value meaning "no filter"; Radix selects cannot use ''
+export const ALL = 'all'
+
+// Cards per page; divides evenly into the 1, 2 and 3 column layouts
+export const PAGE_SIZE = 24
+
+// Paging fields a paginating backend sends in `meta` (or `pagination`)
+const PAGE_META_KEYS = ['page', 'total', 'totalCount', 'totalPages', 'nextCursor', 'hasMore']
+
+// Compare helpers for module sort definitions
+export function byText(field) {
+  return (a, b) => String(a[field] ?? '').localeCompare(String(b[field] ?? ''), undefined, { numeric: true, sensitivity: 'base' })
+}
+
+export function byNumber(field) {
+  return (a, b) => (Number(a[field]) || 0) - (Number(b[field]) || 0)
+}
+
+// Records without a usable date sort after dated ones (before them when descending)
+export function byDate(field) {
+  const time = (record) => {
+    const value = record[field] ? new Date(record[field]).getTime() : NaN
+    return Number.isNaN(value) ? Infinity : value
+  }
+  return (a, b) => {
+    const [left, right] = [time(a), time(b)]
+    if (left === right) return 0
+    return left < right ? -1 : 1
+  }
+}
+
+export function descending(compare) {
+  return (a, b) => compare(b, a)
+}
+
+// Reads the module's search, filters, sort and page from the URL; unknown values are ignored
+export function readFeedQuery(moduleConfig, searchParams) {
+  const filters = {}
+  for (const filter of moduleConfig?.filters || []) {
+    const value = searchParams.get(filter.name)
+    if (filter.options.some((option) => option.value === value)) {
+      filters[filter.name] = value
+    }
+  }
+
+  const sorts = moduleConfig?.sorts || []
+  const sort = sorts.find((option) => option.value === searchParams.get('sort')) || sorts[0]
+
+  const page = Math.max(1, Number.parseInt(searchParams.get('page'), 10) || 1)
+
+  return { q: searchParams.get('q') || '', filters, sort: sort?.value, page }
+}
+
+// True when the search box or any filter narrows the feed
+export function isFiltered(query) {
+  return query.q.trim() !== '' || Object.keys(query.filters).length > 0
+}
+
+// Writes changes ({ q, sort, page, <filter name> }) into a copy of the URL params;
+// empty values, ALL, the default sort and page 1 are dropped to keep links short
+export function updateFeedParams(moduleConfig, searchParams, changes) {
+  const next = new URLSearchParams(searchParams)
+  const defaultSort = moduleConfig?.sorts?.[0]?.value
+  // A new search, filter or sort starts again from the first page
+  if (!('page' in changes)) next.delete('page')
+  for (const [name, value] of Object.entries(changes)) {
+    if (!value || value === ALL || (name === 'sort' && value === defaultSort) || (name === 'page' && value <= 1)) {
+      next.delete(name)
+    } else {
+      next.set(name, String(value))
+    }
+  }
+  return next
+}
+
+// Changes for updateFeedParams that reset the search box and every filter; the sort stays
+export function clearFeedFilters(moduleConfig) {
+  return { q: '', ...Object.fromEntries((moduleConfig?.filters || []).map((filter) => [filter.name, ALL])) }
+}
+
+export function applyFeedQuery(moduleConfig, items, query) {
+  const terms = query.q.trim().toLowerCase().split(/\s+/).filter(Boolean)
+  const fields = moduleConfig?.search || []
+  const filters = (moduleConfig?.filters || []).filter((filter) => query.filters[filter.name])
+
+  const matching = items.filter((item) => {
+    if (terms.length > 0) {
+      const text = fields.map((field) => item[field] ?? '').join(' ').toLowerCase()
+      if (!terms.every((term) => text.includes(term))) return false
+    }
+    return filters.every((filter) => filter.match(item, query.filters[filter.name]))
+  })
+
+  const sort = moduleConfig?.sorts?.find((option) => option.value === query.sort)
+  return sort ? matching.sort(sort.compare) : matching
+}
+
+function readPageInfo(meta, page, limit, count) {
+  const total = meta.total ?? meta.totalCount
+  const pageSize = meta.limit ?? limit
+  const totalPages = meta.totalPages ?? (total === undefined ? undefined : Math.max(1, Math.ceil(total / pageSize)))
+  const nextCursor = meta.nextCursor ?? null
+  let hasMore = meta.hasMore
+  if (hasMore === undefined) {
+    if (nextCursor) hasMore = true
+    else if (totalPages !== undefined) hasMore = page < totalPages
+    else hasMore = count >= pageSize
+  }
+  return { page: meta.page ?? page, limit: pageSize, total, totalPages, nextCursor, hasMore }
+}
+
+// One page of a collection the backend sent whole: searched, filtered, sorted
+// and paged here; `records` keeps the full collection for the next pages and
+// for summaries that need every record
+export function pageFromRecords(moduleConfig, records, query, page = 1, limit = PAGE_SIZE, meta = {}) {
+  const matching = applyFeedQuery(moduleConfig, records, query)
+  const totalPages = Math.max(1, Math.ceil(matching.length / limit))
+  return {
+    items: matching.slice((page - 1) * limit, page * limit),
+    pageInfo: { page, limit, total: matching.length, totalPages, nextCursor: null, hasMore: page < totalPages },
+    meta,
+    records
+  }
+}
+
+// Loads one page of a feed as { items, pageInfo, meta, records }.
+// A paginating backend gets page, limit, cursor, search, sort and the filters as
+// query params and is trusted to apply them. A backend that sends the whole
+// collection instead (no paging fields in meta) still works through pageFromRecords.
+export async function loadFeedPage(moduleConfig, { query, page = 1, cursor, limit = PAGE_SIZE, productId }, options = {}) {
+  const params = { page, cursor, limit, search: query.q.trim(), sort: query.sort, ...query.filters }
+  const { data, meta } = await moduleConfig.load({ ...options, productId, params })
+
+  if (PAGE_META_KEYS.some((key) => meta[key] !== undefined)) {
+    return { items: data, pageInfo: readPageInfo(meta, page, limit, data.length), meta, records: null }
+  }
+  return pageFromRecords(moduleConfig, data, query, page, limit, meta)
+}
@@ -0,0 +1,41 @@
+// Finance helpers for accounts receivable and payable
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Aging buckets in display order, by days past due
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: '1-30', label: '1–30 days', maxDays: 30 },
+  { key: '31-60', label: '31–60 days', maxDays: 60 },
+  { key: '61-90', label: '61–90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: Infinity }
+]
+
+export function getDaysPastDue(dueDate, now = new Date()) {
+  if (!dueDate) return 0
+  const due = new Date(dueDate)
+  if (Number.isNaN(due.getTime())) return 0
+  return Math.max(0, Math.floor((now.getTime() - due.getTime()) / DAY_MS))
+}
+
+export function getAgingBucket(dueDate, now = new Date()) {
+  const daysPastDue = getDaysPastDue(dueDate, now)
+  return AGING_BUCKETS.find((bucket) => daysPastDue <= bucket.maxDays)
+}
+
+// Totals amount due per aging bucket, plus the overall total
+export function summarizeAging(records, now = new Date()) {
+  const totals = Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]))
+  let total = 0
+  for (const record of records) {
+    const amount = Number(record.amountDue) || 0
+    totals[getAgingBucket(record.dueDate, now).key] += amount
+    total += amount
+  }
+  return { totals, total }
+}
+
+// Open records with a balance that are past their due date
+export function isOverdue(record, now = new Date()) {
+  return Number(record.amountDue) > 0 && getDaysPastDue(record.dueDate, now) > 0
+}
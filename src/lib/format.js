@@ -0,0 +1,61 @@
+// Display formatting helpers shared by the visual cards
+
+const currencyFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD'
+})
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+export function formatCurrency(value) {
+  const amount = Number(value)
+  return currencyFormatter.format(Number.isFinite(amount) ? amount : 0)
+}
+
+export function formatDate(value) {
+  if (!value) return '—'
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '—' : dateFormatter.format(date)
+}
+
+// Turns camelCase record keys into readable labels
+export function formatFieldLabel(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/^./, (char) => char.toUpperCase())
+}
+
+export function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const percentFormatter = new Intl.NumberFormat(undefined, {
+  style: 'percent',
+  maximumFractionDigits: 1
+})
+
+// Expects a ratio, so 0.25 renders as 25%
+export function formatPercent(value) {
+  const ratio = Number(value)
+  return percentFormatter.format(Number.isFinite(ratio) ? ratio : 0)
+}
+
+const compactCurrencyFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD',
+  notation: 'compact',
+  maximumFractionDigits: 1
+})
+
+// Short currency for chart axes, e.g. $12.5K
+export function formatCompactCurrency(value) {
+  const amount = Number(value)
+  return compactCurrencyFormatter.format(Number.isFinite(amount) ? amount : 0)
+}
@@ -0,0 +1,48 @@
+// Inventory helpers for batch and lot traceability
+
+// Batches expiring within this many days are flagged on the floor
+export const EXPIRY_WARNING_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Returns 'expired', 'expiring', 'ok', or null when there is no usable date
+export function getExpiryStatus(expiryDate, now = new Date()) {
+  if (!expiryDate) return null
+  const expiry = new Date(expiryDate)
+  if (Number.isNaN(expiry.getTime())) return null
+
+  const daysLeft = (expiry.getTime() - now.getTime()) / DAY_MS
+  if (daysLeft < 0) return 'expired'
+  if (daysLeft <= EXPIRY_WARNING_DAYS) return 'expiring'
+  return 'ok'
+}
+
+// Attaches lot numbers to batches that only reference their lot by id
+export function attachLots(batches, lots) {
+  const lotsById = new Map(lots.map((lot) => [String(lot.id), lot]))
+  return batches.map((batch) => {
+    const lot = lotsById.get(String(batch.lotId))
+    return {
+      ...batch,
+      lotNumber: batch.lotNumber || lot?.lotNumber
+    }
+  })
+}
+
+// Active products at or below their reorder point; products without one are never low
+export function isLowStock(product) {
+  const { reorderPoint } = product
+  if (product.status === 'Inactive' || reorderPoint === undefined || reorderPoint === null) return false
+  return Number(product.stockOnHand || 0) <= Number(reorderPoint)
+}
+
+// Identity and stock of a product, which a copy does not inherit
+const NOT_COPIED = ['id', 'stockOnHand', 'batches', 'createdAt', 'updatedAt']
+
+// Values for a new product copied from this one: every other field, Inactive
+// until reviewed, and a SKU that clashes with neither the original nor an earlier copy
+export function copyProduct(product) {
+  const copy = Object.fromEntries(Object.entries(product).filter(([field]) => !NOT_COPIED.includes(field)))
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase()
+  return { ...copy, name: `${product.name} (copy)`, sku: `${product.sku}-COPY-${suffix}`, status: 'Inactive' }
+}
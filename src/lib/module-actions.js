@@ -0,0 +1,128 @@
+// Built-in card actions for the Visual ERP modules
+
+import { Eye, Pencil, Copy, Archive, FilePlus, Send, FileCheck, Package, User } from 'lucide-react'
+import ItemDetailsDialog from '@/components/ItemDetailsDialog.jsx'
+import EditProductDialog, { DuplicateProductDialog } from '@/components/EditProductDialog.jsx'
+import apiService from './api.js'
+import { registerCardActions } from './card-actions.js'
+
+const viewDetails = {
+  id: 'view',
+  label: 'View details',
+  icon: Eye,
+  dialog: ItemDetailsDialog,
+  refresh: false
+}
+
+// Inventory
+registerCardActions('inventory', [
+  {
+    id: 'view',
+    label: 'View details',
+    icon: Eye,
+    run: (item, { navigate }) => navigate(`/visual/inventory/${item.id}`),
+    refresh: false
+  },
+  {
+    id: 'edit',
+    label: 'Edit',
+    icon: Pencil,
+    dialog: EditProductDialog,
+    success: 'Product updated'
+  },
+  {
+    id: 'duplicate',
+    label: 'Duplicate',
+    icon: Copy,
+    dialog: DuplicateProductDialog,
+    success: (item) => `Created a copy of ${item.name}`
+  },
+  {
+    id: 'archive',
+    label: 'Archive',
+    icon: Archive,
+    destructive: true,
+    when: (item) => item.status !== 'Inactive',
+    confirm: {
+      title: 'Archive this product?',
+      description: 'The product will be marked Inactive and hidden from new quotes.'
+    },
+    run: (item) => apiService.updateProduct(item.id, { status: 'Inactive' }, { outbox: `Archive ${item.name}` }),
+    success: 'Product archived'
+  }
+])
+
+// Batches
+registerCardActions('batches', [
+  viewDetails,
+  {
+    id: 'view-product',
+    label: 'View product',
+    icon: Package,
+    when: (item) => !!item.productId,
+    run: (item, { navigate }) => navigate(`/visual/inventory/${item.productId}`),
+    refresh: false,
+    permission: 'inventory.view'
+  }
+])
+
+// Customers
+registerCardActions('customers', [
+  {
+    id: 'view',
+    label: 'View details',
+    icon: Eye,
+    run: (item, { navigate }) => navigate(`/visual/customers/${item.id}`),
+    refresh: false
+  },
+  {
+    id: 'create-quote',
+    label: 'Create quote',
+    icon: FilePlus,
+    run: (item, { navigate }) => navigate(`/visual/quotes/new?customerId=${item.id}`),
+    refresh: false,
+    permission: 'quotes.create'
+  }
+])
+
+// Quotes
+registerCardActions('quotes', [
+  viewDetails,
+  {
+    id: 'send',
+    label: 'Send to customer',
+    icon: Send,
+    when: (item) => !item.status || item.status === 'Draft',
+    run: (item) => apiService.sendQuote(item.id, { outbox: `Send ${item.quoteNumber}` }),
+    success: 'Quote sent'
+  },
+  {
+    id: 'convert',
+    label: 'Convert to order',
+    icon: FileCheck,
+    when: (item) => item.status === 'Sent' || item.status === 'Accepted',
+    confirm: {
+      title: 'Convert this quote?',
+      description: 'A sales order will be created from this quote in the ERP.'
+    },
+    run: (item) => apiService.convertQuote(item.id, { outbox: `Convert ${item.quoteNumber}` }),
+    success: 'Quote converted to order'
+  }
+])
+
+// Accounts receivable
+registerCardActions('ar', [
+  viewDetails,
+  {
+    id: 'view-customer',
+    label: 'View customer',
+    icon: User,
+    when: (item) => !!item.customerId,
+    run: (item, { navigate }) => navigate(`/visual/customers/${item.customerId}`),
+    refresh: false,
+    permission: 'customers.view'
+  }
+])
+
+// Accounts payable
+registerCardActions('ap', [viewDetails])
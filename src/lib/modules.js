@@ -0,0 +1,157 @@
+// Visual ERP module definitions
+// Maps each /visual/:module route to its data source and display label.
+// load() receives { signal, cache, params, ...route params } and resolves to the
+// ApiService response ({ data: records, meta }); signal, cache and params (page,
+// search, filters, sort) are passed straight through to ApiService.request.
+// search, filters and sorts drive the feed toolbar and paging (see feed-query.js);
+// sort values are the backend field names, with a leading '-' for descending.
+
+import apiService from './api.js'
+import { attachLots, getExpiryStatus, isLowStock } from './inventory.js'
+import { AGING_BUCKETS, getAgingBucket, isOverdue } from './finance.js'
+import { QUOTE_STATUS_VARIANTS } from './quotes.js'
+import { byDate, byNumber, byText, descending } from './feed-query.js'
+
+const agingFilter = {
+  name: 'aging',
+  label: 'Aging',
+  options: [
+    { value: 'overdue', label: 'Overdue' },
+    ...AGING_BUCKETS.map((bucket) => ({ value: bucket.key, label: bucket.label }))
+  ],
+  match: (item, value) => (value === 'overdue' ? isOverdue(item) : getAgingBucket(item.dueDate).key === value)
+}
+
+const financeSorts = [
+  { value: 'dueDate', label: 'Due date (oldest first)', compare: byDate('dueDate') },
+  { value: '-amountDue', label: 'Amount due (highest first)', compare: descending(byNumber('amountDue')) }
+]
+
+export const MODULES = {
+  inventory: {
+    label: 'Inventory',
+    load: ({ params, signal, cache } = {}) => apiService.getProducts({ params, signal, cache }),
+    search: ['name', 'sku'],
+    filters: [
+      {
+        name: 'status',
+        label: 'Status',
+        options: [{ value: 'Active', label: 'Active' }, { value: 'Inactive', label: 'Inactive' }],
+        match: (item, value) => item.status === value
+      },
+      {
+        name: 'stock',
+        label: 'Stock',
+        options: [
+          { value: 'low', label: 'Low stock' },
+          { value: 'out', label: 'Out of stock' },
+          { value: 'in', label: 'In stock' }
+        ],
+        match: (item, value) => {
+          const onHand = Number(item.stockOnHand) || 0
+          if (value === 'low') return isLowStock(item)
+          return value === 'out' ? onHand <= 0 : onHand > 0
+        }
+      }
+    ],
+    sorts: [
+      { value: 'name', label: 'Name (A–Z)', compare: byText('name') },
+      { value: 'sku', label: 'SKU', compare: byText('sku') },
+      { value: 'stockOnHand', label: 'Stock (lowest first)', compare: byNumber('stockOnHand') },
+      { value: '-stockOnHand', label: 'Stock (highest first)', compare: descending(byNumber('stockOnHand')) }
+    ]
+  },
+  batches: {
+    label: 'Batches',
+    load: async ({ productId, params, signal, cache } = {}) => {
+      const response = await apiService.getBatches({ params: { ...params, productId }, signal, cache })
+      // Lots are only asked for when this page has batches without a lotNumber, and only those
+      const lotIds = [...new Set(response.data.filter((batch) => !batch.lotNumber && batch.lotId).map((batch) => batch.lotId))]
+      const { data: lots } = lotIds.length > 0
+        ? await apiService.getLots({ params: { ids: lotIds.join(',') }, signal, cache })
+        : { data: [] }
+      const batches = attachLots(response.data, lots)
+      return {
+        ...response,
+        data: productId
+          ? batches.filter((batch) => String(batch.productId) === String(productId))
+          : batches
+      }
+    },
+    search: ['batchNumber', 'lotNumber', 'productName', 'sku'],
+    filters: [
+      {
+        name: 'expiry',
+        label: 'Expiry',
+        options: [
+          { value: 'expired', label: 'Expired' },
+          { value: 'expiring', label: 'Expiring soon' },
+          { value: 'ok', label: 'Not expiring' }
+        ],
+        match: (item, value) => getExpiryStatus(item.expiryDate) === value
+      }
+    ],
+    sorts: [
+      { value: 'expiryDate', label: 'Expiry (soonest first)', compare: byDate('expiryDate') },
+      { value: '-receivedDate', label: 'Received (newest first)', compare: descending(byDate('receivedDate')) },
+      { value: '-quantity', label: 'Quantity (highest first)', compare: descending(byNumber('quantity')) }
+    ]
+  },
+  customers: {
+    label: 'Customers',
+    load: ({ params, signal, cache } = {}) => apiService.getCustomers({ params, signal, cache }),
+    search: ['companyName', 'contactName', 'email', 'phone', 'address'],
+    filters: [
+      {
+        name: 'contact',
+        label: 'Contact details',
+        options: [
+          { value: 'email', label: 'Has email' },
+          { value: 'phone', label: 'Has phone' },
+          { value: 'missing', label: 'No email or phone' }
+        ],
+        match: (item, value) => (value === 'missing' ? !item.email && !item.phone : !!item[value])
+      }
+    ],
+    sorts: [
+      { value: 'companyName', label: 'Company (A–Z)', compare: byText('companyName') },
+      { value: 'contactName', label: 'Contact (A–Z)', compare: byText('contactName') }
+    ]
+  },
+  quotes: {
+    label: 'Quotes',
+    load: ({ params, signal, cache } = {}) => apiService.getQuotes({ params, signal, cache }),
+    search: ['quoteNumber', 'customerName'],
+    filters: [
+      {
+        name: 'status',
+        label: 'Status',
+        options: Object.keys(QUOTE_STATUS_VARIANTS).map((status) => ({ value: status, label: status })),
+        match: (item, value) => (item.status || 'Draft') === value
+      }
+    ],
+    sorts: [
+      { value: 'expiryDate', label: 'Expiry (soonest first)', compare: byDate('expiryDate') },
+      { value: '-total', label: 'Total (highest first)', compare: descending(byNumber('total')) },
+      { value: '-quoteNumber', label: 'Quote number (newest first)', compare: descending(byText('quoteNumber')) }
+    ]
+  },
+  ar: {
+    label: 'Accounts Receivable',
+    load: ({ params, signal, cache } = {}) => apiService.getAccountsReceivable({ params, signal, cache }),
+    search: ['invoiceNumber', 'customerName'],
+    filters: [agingFilter],
+    sorts: financeSorts
+  },
+  ap: {
+    label: 'Accounts Payable',
+    load: ({ params, signal, cache } = {}) => apiService.getAccountsPayable({ params, signal, cache }),
+    search: ['billNumber', 'vendorName'],
+    filters: [agingFilter],
+    sorts: financeSorts
+  }
+}
+
+export function getModule(module) {
+  return MODULES[module] || null
+}
@@ -0,0 +1,57 @@
+// App shell navigation
+// Entries for the desktop sidebar and the mobile tab bar, in display order.
+// `primary` entries get their own tab on mobile; the rest sit behind "More".
+// `badge.filters` picks the records needing attention (low stock, overdue
+// invoices) with the module's own feed filters; their count is shown next to the entry.
+
+import { LayoutDashboard, BarChart3, Package, Layers, Users, FileText, HandCoins, Receipt } from 'lucide-react'
+import { MODULES, getModule } from './modules.js'
+import { loadFeedPage } from './feed-query.js'
+import { canViewModule } from './permissions.js'
+
+export const NAV_ITEMS = [
+  { module: 'dashboard', label: 'Dashboard', icon: LayoutDashboard, primary: true },
+  {
+    module: 'inventory',
+    icon: Package,
+    primary: true,
+    badge: { label: 'low stock', filters: { stock: 'low' } }
+  },
+  { module: 'batches', icon: Layers },
+  { module: 'customers', icon: Users, primary: true },
+  { module: 'quotes', icon: FileText, primary: true },
+  {
+    module: 'ar',
+    icon: HandCoins,
+    badge: { label: 'overdue', filters: { aging: 'overdue' } }
+  },
+  {
+    module: 'ap',
+    icon: Receipt,
+    badge: { label: 'overdue', filters: { aging: 'overdue' } }
+  },
+  { module: 'reports', label: 'Reports', icon: BarChart3 }
+].map((item) => ({
+  ...item,
+  label: item.label || MODULES[item.module].label,
+  to: `/visual/${item.module}`
+}))
+
+// Entries the role can open
+export function getNavItems(permissions) {
+  return NAV_ITEMS.filter((item) => canViewModule(permissions, item.module))
+}
+
+// Resolves to { [module]: count } for the entries that have a badge; only the
+// total is needed, so a paginating backend is asked for a single record
+export async function loadBadgeCounts(items, options) {
+  const counted = items.filter((item) => item.badge)
+  const counts = await Promise.all(
+    counted.map(async (item) => {
+      const query = { q: '', filters: item.badge.filters }
+      const { pageInfo } = await loadFeedPage(getModule(item.module), { query, limit: 1 }, options)
+      return pageInfo.total
+    })
+  )
+  return Object.fromEntries(counted.map((item, index) => [item.module, counts[index]]))
+}
@@ -0,0 +1,108 @@
+// IndexedDB persistence for offline mode
+// 'responses' holds the last GET responses for the offline modules, keyed like
+// the query cache and capped at MAX_SAVED_RESPONSES; 'outbox' holds writes
+// queued while the device was offline.
+// Every function resolves to undefined when IndexedDB is unavailable.
+
+const DB_NAME = 'visual-erp'
+const DB_VERSION = 2
+
+// Every search, filter and page is a separate response; past this many the
+// least recently saved are dropped (the query cache keeps as many in memory)
+const MAX_SAVED_RESPONSES = 200
+
+let databasePromise = null
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = (event) => {
+        if (event.oldVersion < 1) {
+          request.result.createObjectStore('responses')
+          request.result.createObjectStore('outbox', { keyPath: 'id' })
+        }
+        if (event.oldVersion < 2) {
+          request.transaction.objectStore('responses').createIndex('updatedAt', 'updatedAt')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      console.error('IndexedDB unavailable, offline mode disabled:', error)
+      return null
+    })
+  }
+  return databasePromise
+}
+
+// Runs one request against a store and resolves with its result once committed
+async function withStore(name, mode, run) {
+  const database = await openDatabase()
+  if (!database) return undefined
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(name, mode)
+    const request = run(transaction.objectStore(name))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// { response, updatedAt } or undefined
+export function readSavedResponse(key) {
+  return withStore('responses', 'readonly', (store) => store.get(key))
+}
+
+// Saves entry ({ response, updatedAt }) and drops the oldest entries over the cap
+export function saveResponse(key, entry) {
+  return withStore('responses', 'readwrite', (store) => {
+    const request = store.put(entry, key)
+    const counted = store.count()
+    counted.onsuccess = () => {
+      let excess = counted.result - MAX_SAVED_RESPONSES
+      if (excess <= 0) return
+      const oldest = store.index('updatedAt').openKeyCursor()
+      oldest.onsuccess = () => {
+        const cursor = oldest.result
+        if (!cursor || excess <= 0) return
+        store.delete(cursor.primaryKey)
+        excess--
+        cursor.continue()
+      }
+    }
+    return request
+  })
+}
+
+export function deleteSavedResponses(match) {
+  return withStore('responses', 'readwrite', (store) => {
+    const request = store.openKeyCursor()
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor) return
+      if (match(cursor.key)) store.delete(cursor.primaryKey)
+      cursor.continue()
+    }
+    return request
+  })
+}
+
+export function clearSavedResponses() {
+  return withStore('responses', 'readwrite', (store) => store.clear())
+}
+
+export function readOutboxEntries() {
+  return withStore('outbox', 'readonly', (store) => store.getAll())
+}
+
+export function saveOutboxEntry(entry) {
+  return withStore('outbox', 'readwrite', (store) => store.put(entry))
+}
+
+export function deleteOutboxEntry(id) {
+  return withStore('outbox', 'readwrite', (store) => store.delete(id))
+}
@@ -0,0 +1,65 @@
+// Write outbox for offline mode
+// Writes made with the `outbox` request option are queued here when the device
+// is offline and replayed in order by apiService.replayOutbox(). An entry looks like:
+//   {
+//     id, label,                           // label is shown in the outbox popover
+//     endpoint, method, body, dataKey, invalidates,
+//     idempotencyKey,                      // sent on every attempt so replays cannot duplicate
+//     companyId, userId,                   // replayed for the same company and user only
+//     baseURL,                             // ...and against the backend it was queued for
+//     status: 'pending' | 'failed',
+//     error: { name, message, status, requestId },   // set when the backend rejected it
+//     createdAt
+//   }
+
+import { readOutboxEntries, saveOutboxEntry, deleteOutboxEntry } from './offline-store.js'
+
+const listeners = new Set()
+
+let entries = []
+
+function emit() {
+  listeners.forEach((listener) => listener(entries))
+}
+
+// Reads queued writes from IndexedDB; call once at startup
+export async function loadOutbox() {
+  const saved = (await readOutboxEntries()) || []
+  entries = saved.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  emit()
+  return entries
+}
+
+export function getOutbox() {
+  return entries
+}
+
+// Entries the user queued against this backend; only these are listed and replayed,
+// so a write queued against staging never reaches production after a switch
+export function isOwnEntry(entry, userId, baseURL) {
+  return entry.userId === userId && entry.baseURL === baseURL
+}
+
+export function subscribeOutbox(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export async function addOutboxEntry(entry) {
+  entries = [...entries, entry]
+  emit()
+  await saveOutboxEntry(entry)
+}
+
+export async function updateOutboxEntry(id, changes) {
+  entries = entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+  emit()
+  const updated = entries.find((entry) => entry.id === id)
+  if (updated) await saveOutboxEntry(updated)
+}
+
+export async function removeOutboxEntry(id) {
+  entries = entries.filter((entry) => entry.id !== id)
+  emit()
+  await deleteOutboxEntry(id)
+}
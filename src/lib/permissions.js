@@ -0,0 +1,20 @@
+// Role-based permissions for Visual ERP
+// /api/auth/permissions returns { role, grants } where grants are
+// '<module>.<action>' strings such as 'inventory.view' or 'quotes.create';
+// 'quotes.*' grants every quotes action and '*' grants everything.
+// Seeing a module (its routes, cards and navigation entries) needs '<module>.view'.
+
+export function hasPermission(permissions, permission) {
+  const grants = permissions?.grants || []
+  const [module] = permission.split('.')
+  return grants.includes('*') || grants.includes(`${module}.*`) || grants.includes(permission)
+}
+
+export function canViewModule(permissions, module) {
+  return hasPermission(permissions, `${module}.view`)
+}
+
+// Card actions need '<module>.<action id>' unless they declare their own permission
+export function canUseAction(permissions, module, action) {
+  return hasPermission(permissions, action.permission || `${module}.${action.id}`)
+}
@@ -0,0 +1,57 @@
+// In-memory response cache for ApiService GET requests
+// Keys are request endpoints including their query string, so
+// '/api/analytics/reports/7?periodFrom=2024-01-01' and '...?periodFrom=2024-02-01' are separate entries.
+// Each key lives in a scope (the selected company), so switching companies never
+// shows another company's data and switching back is still instant.
+
+const MAX_ENTRIES = 200
+
+export class CacheMissError extends Error {
+  constructor(key) {
+    super(`No cached response for ${key}`)
+    this.name = 'CacheMissError'
+  }
+}
+
+export function scopedKey(scope, key) {
+  return `${scope ?? ''}|${key}`
+}
+
+export class QueryCache {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  get(key, scope) {
+    return this.entries.get(scopedKey(scope, key))
+  }
+
+  set(key, response, scope) {
+    const entryKey = scopedKey(scope, key)
+    // Re-insert so Map order doubles as least-recently-written order
+    this.entries.delete(entryKey)
+    this.entries.set(entryKey, { response, updatedAt: Date.now() })
+    if (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  // Drops every entry in the scope whose key starts with one of the prefixes;
+  // with no prefixes the whole cache (every scope) is cleared
+  invalidate(prefixes, scope) {
+    if (!prefixes) {
+      this.entries.clear()
+      return
+    }
+    const scoped = prefixes.map((prefix) => scopedKey(scope, prefix))
+    for (const key of [...this.entries.keys()]) {
+      if (scoped.some((prefix) => key.startsWith(prefix))) {
+        this.entries.delete(key)
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+}
@@ -0,0 +1,72 @@
+// Quote helpers shared by the quote card, customer view and quote wizard
+
+import { z } from 'zod'
+import { ValidationError } from './api-errors.js'
+
+// Badge variant for each quote status
+export const QUOTE_STATUS_VARIANTS = {
+  Draft: 'secondary',
+  Sent: 'outline',
+  Accepted: 'default',
+  Rejected: 'destructive',
+  Expired: 'destructive'
+}
+
+// Validation for the create-quote wizard
+export const quoteSchema = z.object({
+  customerId: z.string().min(1, 'Choose a customer'),
+  lines: z
+    .array(
+      z.object({
+        productId: z.string().min(1, 'Choose a product'),
+        quantity: z.coerce.number().int('Whole units only').positive('Quantity must be at least 1'),
+        unitPrice: z.coerce.number().nonnegative('Price cannot be negative')
+      })
+    )
+    .min(1, 'Add at least one line'),
+  expiryDate: z.string().optional(),
+  notes: z.string().max(1000, 'Keep notes under 1000 characters').optional()
+})
+
+export function calculateQuoteTotals(lines = []) {
+  const subtotal = lines.reduce(
+    (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitPrice) || 0),
+    0
+  )
+  return { subtotal, total: subtotal }
+}
+
+// Server field name -> wizard field; null for fields the form does not show
+function toFormField(field, lineCount) {
+  if (['customerId', 'expiryDate', 'notes'].includes(field)) return field
+  if (field === 'lines') return 'lines.root'
+  const line = /^lines\.(\d+)\.(productId|quantity|unitPrice)$/.exec(field)
+  return line && Number(line[1]) < lineCount ? field : null
+}
+
+// Maps a failed submit onto the quote wizard form. Field errors go to the fields
+// the form shows; everything else (other fields, or a failure without field
+// errors) goes to root.server on the review step so nothing is lost.
+// Returns the names of the fields that received an error.
+export function applyServerErrors(form, error) {
+  const fields = []
+  const unmatched = []
+  if (error instanceof ValidationError) {
+    const lineCount = form.getValues('lines')?.length ?? 0
+    for (const [field, message] of Object.entries(error.fieldErrors)) {
+      const name = toFormField(field, lineCount)
+      if (name) {
+        form.setError(name, { type: 'server', message })
+        fields.push(name)
+      } else {
+        unmatched.push(`${field}: ${message}`)
+      }
+    }
+  }
+
+  if (fields.length === 0 || unmatched.length > 0) {
+    const message = unmatched.length > 0 ? unmatched.join(' ') : error.message
+    form.setError('root.server', { type: 'server', message })
+  }
+  return fields
+}
@@ -0,0 +1,55 @@
+// Service worker registration (public/sw.js) and the update-available prompt
+// Only registered in production builds; the Vite dev server handles its own reloads.
+
+import { toast } from 'sonner'
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+function promptUpdate(apply) {
+  toast('A new version of Visual ERP is available', {
+    id: 'app-update',
+    duration: Infinity,
+    action: { label: 'Reload', onClick: apply }
+  })
+}
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  const reload = () => window.location.reload()
+
+  // The worker found a new index.html and already cached it: a reload picks it up
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'UPDATE_AVAILABLE') promptUpdate(reload)
+  })
+
+  // A new sw.js is installed and waiting: activate it, then reload under it
+  const promptWaiting = (worker) => {
+    promptUpdate(() => {
+      navigator.serviceWorker.addEventListener('controllerchange', reload, { once: true })
+      worker.postMessage({ type: 'SKIP_WAITING' })
+    })
+  }
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        promptWaiting(registration.waiting)
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing
+        worker?.addEventListener('statechange', () => {
+          // The very first install has no controller, so there is nothing to update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            promptWaiting(worker)
+          }
+        })
+      })
+
+      // Installed apps can stay open for days
+      setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL_MS)
+    })
+    .catch((error) => console.error('Service worker registration failed:', error))
+}
@@ -0,0 +1,16 @@
+// Keyboard shortcut helpers
+// Shortcuts are shown with ⌘ on Apple devices and Ctrl elsewhere; both keys work everywhere.
+
+const APPLE_PLATFORM = /Mac|iPhone|iPad|iPod/
+
+const MOD_KEY_LABEL = typeof navigator !== 'undefined' && APPLE_PLATFORM.test(navigator.platform) ? '⌘' : 'Ctrl+'
+
+// True for Cmd/Ctrl + key
+export function isModShortcut(event, key) {
+  return (event.metaKey || event.ctrlKey) && event.key?.toLowerCase() === key
+}
+
+// Display label, e.g. '⌘K' or 'Ctrl+K'
+export function formatShortcut(key) {
+  return `${MOD_KEY_LABEL}${key.toUpperCase()}`
+}
@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import apiService from './lib/api.js'
+import { loadConfig, getActiveEnvironment } from './lib/config.js'
+import { registerServiceWorker } from './lib/service-worker.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Point the API at the selected environment before anything can request data
+loadConfig().then((config) => {
+  apiService.configure({
+    baseURL: getActiveEnvironment().apiUrl,
+    timeout: config.timeout,
+    retries: config.retries
+  })
+
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+
+  registerServiceWorker()
+})